@@ -0,0 +1,58 @@
+/**
+ * Record of something that happened before an error
+ * @typedef {object} Breadcrumb
+ * @property {string} [category] - e.g. 'wrap', 'navigation', 'http'
+ * @property {string} [message]
+ * @property {object} [data] - any extra details
+ * @property {number} timestamp - milliseconds since the epoch; defaults to when the breadcrumb is added
+ */
+
+const DEFAULT_MAX_BREADCRUMBS = 20;
+
+/**
+ * Creates a ring buffer of breadcrumbs that keeps only the most recent ones
+ * @param {number} [maxBreadcrumbs=20] - number of breadcrumbs kept
+ * @return {object} trail with add, getAll and clear functions
+ */
+export function createBreadcrumbTrail(maxBreadcrumbs = DEFAULT_MAX_BREADCRUMBS) {
+    const size = maxBreadcrumbs > 0 ? maxBreadcrumbs : 0;
+    let buffer = [];
+    let next = 0;
+
+    /**
+     * Adds a breadcrumb, replacing the oldest one when the trail is full
+     * @param {object} breadcrumb - category, message, data and optional timestamp
+     * @return {Breadcrumb} breadcrumb as stored
+     */
+    function add({ category, message, data, timestamp = Date.now() } = {}) {
+        const breadcrumb = { category, message, data, timestamp };
+
+        if (size === 0) {
+            return breadcrumb;
+        }
+
+        buffer[next] = breadcrumb;
+        next = (next + 1) % size;
+
+        return breadcrumb;
+    }
+
+    /**
+     * Gets the breadcrumbs in the trail, oldest first
+     * @return {Breadcrumb[]} copy of the trail
+     */
+    function getAll() {
+        return buffer.slice(next).concat(buffer.slice(0, next));
+    }
+
+    function clear() {
+        buffer = [];
+        next = 0;
+    }
+
+    return {
+        add,
+        clear,
+        getAll
+    };
+}
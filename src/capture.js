@@ -0,0 +1,146 @@
+import { isError } from './report';
+import { isFunction } from './utils';
+
+/**
+ * Settings of the captureArgs option of wrap
+ * @typedef {object} CaptureOptions
+ * @property {string[]} [thisProperties=[]] - properties of this that are captured
+ * @property {number} [maxDepth=3] - deepest nesting captured; deeper objects become '[Object]' or '[Array]'
+ * @property {number} [maxStringLength=1000] - longer strings are truncated
+ * @property {number} [maxArrayLength=20] - later array items are left out
+ * @property {number} [maxKeys=20] - later object properties are left out
+ */
+
+/**
+ * Arguments and receiver of a wrapped function call, as captured when its error was caught
+ * @typedef {object} CapturedCall
+ * @property {array} args - snapshots of the arguments
+ * @property {object} this - snapshots of the selected properties of this
+ */
+
+const DEFAULT_CAPTURE_OPTIONS = {
+    thisProperties: [],
+    maxDepth: 3,
+    maxStringLength: 1000,
+    maxArrayLength: 20,
+    maxKeys: 20
+};
+
+/**
+ * Determines if a value is a DOM node
+ * @param {*} value
+ * @return {bool}
+ */
+function isDomNode(value) {
+    return typeof value.nodeType === 'number' && typeof value.nodeName === 'string';
+}
+
+/**
+ * Summarizes a DOM node, e.g. '[div#cart.empty]'
+ * @param {object} node
+ * @return {string}
+ */
+function describeDomNode(node) {
+    const id = node.id ? `#${node.id}` : '';
+    const classNames = typeof node.className === 'string' && node.className ? `.${node.className.trim().split(/\s+/).join('.')}` : '';
+
+    return `[${node.nodeName.toLowerCase()}${id}${classNames}]`;
+}
+
+/**
+ * Copies a value with the capture limits applied
+ * @param {*} value
+ * @param {CaptureOptions} captureOptions - complete options
+ * @param {object[]} [ancestors=[]] - objects containing value; used to detect circular references
+ * @return {*} snapshot that is safe to serialize
+ */
+export function snapshotValue(value, captureOptions, ancestors = []) {
+    const { maxDepth, maxStringLength, maxArrayLength, maxKeys } = captureOptions;
+
+    if (typeof value === 'string') {
+        return value.length > maxStringLength ? `${value.slice(0, maxStringLength)}... (${value.length} characters)` : value;
+    }
+
+    if (isFunction(value)) {
+        return `[Function ${value.name || 'anonymous'}]`;
+    }
+
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'symbol' || typeof value === 'bigint' ? String(value) : value; // eslint-disable-line valid-typeof
+    }
+
+    if (isDomNode(value)) {
+        return describeDomNode(value);
+    }
+
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    }
+
+    if (isError(value)) {
+        return { name: value.name, message: snapshotValue(value.message, captureOptions) };
+    }
+
+    if (ancestors.indexOf(value) !== -1) {
+        return '[Circular]';
+    }
+
+    if (ancestors.length >= maxDepth) {
+        return Array.isArray(value) ? '[Array]' : '[Object]';
+    }
+
+    const nextAncestors = ancestors.concat([value]);
+
+    if (Array.isArray(value)) {
+        const items = value.slice(0, maxArrayLength).map(item => snapshotValue(item, captureOptions, nextAncestors));
+
+        if (value.length > maxArrayLength) {
+            items.push(`[${value.length - maxArrayLength} more items]`);
+        }
+
+        return items;
+    }
+
+    const keys = Object.keys(value);
+    const snapshot = keys.slice(0, maxKeys).reduce(function snapshotProperty(properties, key) {
+        try {
+            properties[key] = snapshotValue(value[key], captureOptions, nextAncestors); // eslint-disable-line no-param-reassign
+        } catch (error) {
+            // getters may throw
+            properties[key] = '[Unreadable]'; // eslint-disable-line no-param-reassign
+        }
+
+        return properties;
+    }, {});
+
+    if (keys.length > maxKeys) {
+        snapshot['[more keys]'] = keys.length - maxKeys;
+    }
+
+    return snapshot;
+}
+
+/**
+ * Captures the arguments and selected properties of this of a wrapped function call
+ * @param {array} args
+ * @param {*} thisArg
+ * @param {CaptureOptions|bool} captureArgs - true uses the default limits
+ * @return {CapturedCall}
+ */
+export function captureCall(args, thisArg, captureArgs) {
+    const captureOptions = { ...DEFAULT_CAPTURE_OPTIONS, ...(captureArgs === true ? {} : captureArgs) };
+    const receiver = thisArg !== null && thisArg !== undefined ? Object(thisArg) : {};
+
+    return {
+        args: snapshotValue(args, { ...captureOptions, maxArrayLength: Math.max(captureOptions.maxArrayLength, args.length), maxDepth: captureOptions.maxDepth + 1 }),
+        this: captureOptions.thisProperties.reduce(function captureThisProperty(properties, key) {
+            try {
+                properties[key] = snapshotValue(receiver[key], captureOptions, [receiver]); // eslint-disable-line no-param-reassign
+            } catch (error) {
+                properties[key] = '[Unreadable]'; // eslint-disable-line no-param-reassign
+            }
+
+            return properties;
+        }, {})
+    };
+}
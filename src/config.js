@@ -0,0 +1,316 @@
+import { LOG_LEVELS } from './logger';
+import { REDACTION_PATTERNS } from './redaction';
+import { isFunction, isPlainObject } from './utils';
+
+/**
+ * Settings given to initErrorCatchNotifier or configure as one object
+ * @typedef {object} NotifierConfig
+ * @property {Array<ErrorSubscriber|SubscriberEntry>} [subscribers] - replaces every subscriber, those added with
+ * subscribe included; the test mode recorder stays while test mode is on
+ * @property {bool} [enabled] - errors caught by wrap are passed to subscribers when true; requires subscribers
+ * @property {bool|LoggingOptions} [logging] - the module's diagnostics are logged when truthy
+ * @property {string} [mode] - 'swallow', 'rethrow' or 'passthrough'; see setMode
+ * @property {ThrottleOptions|null} [throttle] - see configureThrottle
+ * @property {BreadcrumbOptions} [breadcrumbs] - see configureBreadcrumbs
+ * @property {RedactionOptions|bool|null} [redaction] - see configureRedaction
+ * @property {SourceMapOptions|null} [sourceMaps] - see configureSourceMaps
+ * @property {StatsOptions} [stats] - see configureStats
+ * @property {bool} [strict] - invalid settings throw a ConfigurationError instead of being logged and skipped
+ */
+
+/**
+ * A subscriber of a NotifierConfig with the options subscribe takes
+ * @typedef {object} SubscriberEntry
+ * @property {ErrorSubscriber} subscriber
+ * @property {ErrorSubscriberOptions} [options={}]
+ */
+
+/**
+ * A problem found in a NotifierConfig
+ * @typedef {object} ConfigProblem
+ * @property {string} field - top level field the problem is in
+ * @property {string} message - e.g. 'throttle.dedupeWindow must be a non-negative number'
+ */
+
+/**
+ * Fields of NotifierConfig
+ * @member {string[]}
+ */
+export const CONFIG_FIELDS = ['subscribers', 'enabled', 'logging', 'mode', 'throttle', 'breadcrumbs', 'redaction', 'sourceMaps', 'stats', 'strict'];
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && value >= 0;
+}
+
+/**
+ * Collects the problems of one field
+ * @param {string} field
+ * @return {object} checker with check, checkKeys and problems
+ */
+function createChecker(field) {
+    const problems = [];
+
+    function check(isValid, path, expectation) {
+        if (!isValid) {
+            problems.push({ field, message: `${path} ${expectation}` });
+        }
+    }
+
+    /**
+     * Checks that an object has only the given keys, then checks each value it has
+     * @param {object} value
+     * @param {object} validators - functions keyed by allowed key; called with the value and its path
+     */
+    function checkKeys(value, validators) {
+        Object.keys(value).forEach(function checkKey(key) {
+            const path = `${field}.${key}`;
+
+            if (!validators.hasOwnProperty(key)) {
+                check(false, path, 'is not a known option');
+            } else if (value[key] !== undefined) {
+                validators[key](value[key], path);
+            }
+        });
+    }
+
+    return { check, checkKeys, problems };
+}
+
+function validateSubscribers(subscribers, { check }) {
+    if (!Array.isArray(subscribers)) {
+        check(false, 'subscribers', 'must be an array of functions');
+
+        return;
+    }
+
+    subscribers.forEach(function validateSubscriber(entry, index) {
+        const path = `subscribers[${index}]`;
+        const isEntryObject = isPlainObject(entry);
+        const subscriber = isEntryObject ? entry.subscriber : entry;
+        const options = isEntryObject && entry.options !== undefined ? entry.options : {};
+
+        if (isEntryObject) {
+            Object.keys(entry).forEach(function validateEntryKey(key) {
+                check(key === 'subscriber' || key === 'options', `${path}.${key}`, 'is not a known option');
+            });
+            check(isPlainObject(options), `${path}.options`, 'must be an object');
+        }
+
+        if (!isFunction(subscriber)) {
+            check(false, isEntryObject ? `${path}.subscriber` : path, 'must be a function');
+        } else {
+            check(subscriber.length > 0 || (isPlainObject(options) && !!options.acceptsError), path, 'must accept an error as its first argument');
+        }
+    });
+}
+
+function validateLogging(logging, { check, checkKeys }) {
+    if (typeof logging === 'boolean') {
+        return;
+    }
+
+    if (!isPlainObject(logging)) {
+        check(false, 'logging', 'must be a boolean or an object with logger and level');
+
+        return;
+    }
+
+    checkKeys(logging, {
+        logger(logger, path) {
+            check(isPlainObject(logger), path, 'must be an object with debug, info, warn and error functions');
+
+            LOG_LEVELS.forEach(function validateLoggerMethod(level) {
+                check(!logger || logger[level] === undefined || isFunction(logger[level]), `${path}.${level}`, 'must be a function');
+            });
+        },
+        level(level, path) {
+            check(LOG_LEVELS.indexOf(level) !== -1, path, `must be one of ${LOG_LEVELS.join(', ')}`);
+        }
+    });
+}
+
+function validateThrottle(throttle, { check, checkKeys }) {
+    if (throttle === null || throttle === false) {
+        return;
+    }
+
+    if (!isPlainObject(throttle)) {
+        check(false, 'throttle', 'must be an object or null');
+
+        return;
+    }
+
+    function checkNumber(value, path) {
+        check(isNonNegativeNumber(value), path, 'must be a non-negative number');
+    }
+
+    checkKeys(throttle, {
+        dedupeWindow: checkNumber,
+        rateLimitWindow: checkNumber,
+        perFingerprintLimit: checkNumber,
+        globalLimit: checkNumber
+    });
+}
+
+function validateBreadcrumbs(breadcrumbs, { check, checkKeys }) {
+    if (!isPlainObject(breadcrumbs)) {
+        check(false, 'breadcrumbs', 'must be an object');
+
+        return;
+    }
+
+    checkKeys(breadcrumbs, {
+        maxBreadcrumbs(maxBreadcrumbs, path) {
+            check(isNonNegativeNumber(maxBreadcrumbs) && maxBreadcrumbs % 1 === 0, path, 'must be a non-negative integer');
+        },
+        captureWrapCalls(captureWrapCalls, path) {
+            check(typeof captureWrapCalls === 'boolean', path, 'must be a boolean');
+        }
+    });
+}
+
+function validateRedaction(redaction, { check, checkKeys }) {
+    if (redaction === null || typeof redaction === 'boolean') {
+        return;
+    }
+
+    if (!isPlainObject(redaction)) {
+        check(false, 'redaction', 'must be a boolean, an object or null');
+
+        return;
+    }
+
+    function checkArray(value, path, isValidItem, expectation) {
+        if (!Array.isArray(value)) {
+            check(false, path, 'must be an array');
+
+            return;
+        }
+
+        value.forEach(function checkItem(item, index) {
+            check(isValidItem(item), `${path}[${index}]`, expectation);
+        });
+    }
+
+    checkKeys(redaction, {
+        patterns(patterns, path) {
+            checkArray(patterns, path, function isValidPattern(pattern) {
+                return (pattern instanceof RegExp && pattern.global) || REDACTION_PATTERNS.hasOwnProperty(pattern);
+            }, `must be a RegExp with the global flag or one of ${Object.keys(REDACTION_PATTERNS).join(', ')}`);
+        },
+        denyKeys(denyKeys, path) {
+            checkArray(denyKeys, path, function isValidDenyKey(denyKey) {
+                return typeof denyKey === 'string' || denyKey instanceof RegExp;
+            }, 'must be a string or a RegExp');
+        },
+        replacers(replacers, path) {
+            checkArray(replacers, path, isFunction, 'must be a function');
+        },
+        replacement(replacement, path) {
+            check(typeof replacement === 'string', path, 'must be a string');
+        }
+    });
+}
+
+function validateSourceMaps(sourceMaps, { check, checkKeys }) {
+    if (sourceMaps === null || sourceMaps === false) {
+        return;
+    }
+
+    if (!isPlainObject(sourceMaps)) {
+        check(false, 'sourceMaps', 'must be an object or null');
+
+        return;
+    }
+
+    checkKeys(sourceMaps, {
+        sourceMaps(maps, path) {
+            check(isPlainObject(maps), path, 'must be an object of source maps keyed by file name');
+        },
+        loadSourceMap(loadSourceMap, path) {
+            check(isFunction(loadSourceMap), path, 'must be a function');
+        }
+    });
+}
+
+function validateStats(stats, { check, checkKeys }) {
+    if (!isPlainObject(stats)) {
+        check(false, 'stats', 'must be an object');
+
+        return;
+    }
+
+    checkKeys(stats, {
+        trackDurations(trackDurations, path) {
+            check(typeof trackDurations === 'boolean', path, 'must be a boolean');
+        },
+        durationBuckets(durationBuckets, path) {
+            check(Array.isArray(durationBuckets) && durationBuckets.every(function isAscending(bound, index) {
+                return isNonNegativeNumber(bound) && (index === 0 || bound > durationBuckets[index - 1]);
+            }), path, 'must be an array of ascending non-negative numbers');
+        },
+        snapshotInterval(snapshotInterval, path) {
+            check(isNonNegativeNumber(snapshotInterval), path, 'must be a non-negative number');
+        },
+        onSnapshot(onSnapshot, path) {
+            check(isFunction(onSnapshot), path, 'must be a function');
+        }
+    });
+}
+
+/**
+ * Finds every problem in a NotifierConfig
+ * @param {NotifierConfig} config
+ * @param {string[]} errorModes - valid values of mode
+ * @return {ConfigProblem[]} empty when the config is valid
+ */
+export function validateConfig(config, errorModes) {
+    if (!isPlainObject(config)) {
+        return [{ field: '', message: 'config must be an object' }];
+    }
+
+    const validators = {
+        subscribers: validateSubscribers,
+        enabled(enabled, { check }) {
+            check(typeof enabled === 'boolean', 'enabled', 'must be a boolean');
+        },
+        logging: validateLogging,
+        mode(mode, { check }) {
+            check(errorModes.indexOf(mode) !== -1, 'mode', `must be one of ${errorModes.join(', ')}`);
+        },
+        throttle: validateThrottle,
+        breadcrumbs: validateBreadcrumbs,
+        redaction: validateRedaction,
+        sourceMaps: validateSourceMaps,
+        stats: validateStats,
+        strict(strict, { check }) {
+            check(typeof strict === 'boolean', 'strict', 'must be a boolean');
+        }
+    };
+
+    return Object.keys(config).reduce(function validateField(problems, field) {
+        const checker = createChecker(field);
+
+        if (CONFIG_FIELDS.indexOf(field) === -1) {
+            checker.check(false, field, 'is not a known option');
+        } else if (config[field] !== undefined) {
+            validators[field](config[field], checker);
+        }
+
+        return problems.concat(checker.problems);
+    }, []);
+}
+
+/**
+ * Creates the error that reports every problem of a config at once
+ * @param {ConfigProblem[]} problems
+ * @return {error} error named ConfigurationError, with the problems in its problems property
+ */
+export function createConfigurationError(problems) {
+    const messages = problems.map(problem => `\n- ${problem.message}`).join('');
+    const error = new Error(`Invalid error catch notifier config:${messages}`);
+    error.name = 'ConfigurationError';
+    error.problems = problems;
+
+    return error;
+}
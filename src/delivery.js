@@ -0,0 +1,54 @@
+import { isThenable, startTimer } from './utils';
+
+/**
+ * Outcome of passing an error to one subscriber
+ * @typedef {object} DeliveryResult
+ * @property {string} name - subscriber name
+ * @property {string} status - 'fulfilled', 'rejected' or 'timedOut'
+ * @property {*} [value] - value the subscriber returned or its promise resolved with; set when fulfilled
+ * @property {*} [reason] - error the subscriber threw or its promise rejected with, or a TimeoutError; set otherwise
+ */
+
+/**
+ * Milliseconds a subscriber's promise may take before its delivery times out
+ * @member {number}
+ */
+export const DEFAULT_SUBSCRIBER_TIMEOUT = 10000;
+
+/**
+ * Creates the error a delivery times out with
+ * @param {number} timeout - milliseconds
+ * @return {error}
+ */
+export function createTimeoutError(timeout) {
+    const error = new Error(`Error subscriber timed out after ${timeout}ms`);
+    error.name = 'TimeoutError';
+
+    return error;
+}
+
+/**
+ * Waits for the value a subscriber returned
+ * @param {*} value - returned value; thenables are waited for, anything else is fulfilled right away
+ * @param {number} [timeout=DEFAULT_SUBSCRIBER_TIMEOUT] - milliseconds; 0 or Infinity waits forever
+ * @return {Promise} resolves with the status and value or reason of a DeliveryResult; never rejects
+ */
+export function settleWithTimeout(value, timeout = DEFAULT_SUBSCRIBER_TIMEOUT) {
+    if (!isThenable(value)) {
+        return Promise.resolve({ status: 'fulfilled', value });
+    }
+
+    return new Promise(function settleExecutor(resolve) {
+        const timer = timeout > 0 && timeout !== Infinity ? startTimer(function deliveryTimeout() {
+            resolve({ status: 'timedOut', reason: createTimeoutError(timeout) });
+        }, timeout) : null;
+
+        value.then(function handleFulfilled(result) {
+            clearTimeout(timer);
+            resolve({ status: 'fulfilled', value: result });
+        }, function handleRejected(reason) {
+            clearTimeout(timer);
+            resolve({ status: 'rejected', reason });
+        });
+    });
+}
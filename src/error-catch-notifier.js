@@ -1,30 +1,98 @@
-/**
- * Error catching is enabled
- * @member {bool}
- */
-let _isEnabled = false;
+import { createBreadcrumbTrail } from './breadcrumbs';
+import { captureCall } from './capture';
+import { createConfigurationError, validateConfig } from './config';
+import { settleWithTimeout } from './delivery';
+import { getErrorFingerprint } from './fingerprint';
+import { createGlobalHandlers } from './global-handlers';
+import { createLogger } from './logger';
+import { createErrorReport } from './report';
+import { createErrorRecorder } from './recorder';
+import { createRedactor } from './redaction';
+import { invokeWithRetry } from './retry';
+import { acceptsReport } from './routing';
+import { createSourceMapResolver } from './source-map';
+import { createStats, getStatsKey } from './stats';
+import { createThrottle } from './throttle';
+import { createCallbackWrappers } from './wrap-callback';
+import { createObjectWrappers } from './wrap-object';
+import { isFunction, isPlainObject, isThenable, startTimer } from './utils';
 
-/**
- * Error logging is enabled
- * @member {bool}
- */
-let _isLoggingEnabled = false;
+export { isFunction, isThenable };
 
 /**
- * A function that takes as its first argument a parameter named error
- * The first argument of an errorSubscriber must be named error
+ * A function that takes an error as its first argument
+ * An errorSubscriber must declare at least one parameter, or be registered with acceptsError
+ * Subscribers may return a promise; its outcome is logged through the failback and included in
+ * the delivery results notifyErrorSubscribers resolves with.
  * @typedef {function} ErrorSubscriber
  * @param {error} error - error object
  * @param {object} [options] - options passed to subscriber from wrap or notifiySubscribers
  * @param {function} [failback] - failback for logging async errors / success
+ * @param {Breadcrumb[]} [breadcrumbs] - most recent breadcrumbs, oldest first
+ * @param {ErrorReport} [report] - normalized description of the error
+ */
+
+/**
+ * Failback error subscribers are called with
+ * Used as a hook for module to log errors caused by async behavior in errorSubscriber
+ * @typedef {function} ErrorSubscriberFailback
+ * @param {error} error - error object
+ * @param {data} data - success data
+ */
+
+/**
+ * Options describing an error subscriber
+ * @typedef {object} ErrorSubscriberOptions
+ * @property {string} [name] - name used in log messages; defaults to the function name
+ * @property {bool} [acceptsError=false] - skips the arity check for subscribers declared with
+ * default, rest, or no parameters that still take an error as their first argument
+ * @property {string} [minSeverity] - only errors reported with this severity or a more severe one are received
+ * @property {string|string[]} [tags] - only errors reported with every one of these tags are received
+ * @property {function} [filter] - called with the error, options and report; only errors it returns true for are received
+ * @property {number} [timeout=10000] - milliseconds the subscriber's promise may take before its delivery times out;
+ * 0 waits forever
+ * @property {bool} [redact=true] - false gives the subscriber the original error, options, breadcrumbs and report
+ * when configureRedaction has been called; for trusted local sinks
  */
 
 /**
- * Array of functions called when an error is caught
- * @member {function[]} errorSubscriberFunctions
- * @param {ErrorSubscriber} errorSubscriberFunctions[]
+ * Options given to wrap
+ * The whole object is passed to notifyErrorSubscribers, so any other properties reach subscribers as is
+ * @typedef {object} WrapOptions
+ * @property {*|function} [fallback] - returned (or resolved) in place of undefined when an error is caught.
+ * Functions are called with the caught error and an array of the wrapped function's arguments,
+ * and their return value is used.
+ * @property {RetryPolicy} [retry] - retries the target function before reporting its final error.
+ * Subscribers then receive a copy of the options with retryAttempts (number of calls made)
+ * and retryErrors (errors of the attempts before the final one).
+ * @property {string} [severity='error'] - 'debug', 'info', 'warning', 'error' or 'fatal'; used to route errors to subscribers
+ * @property {string|string[]} [tags] - used to route errors to subscribers
+ * @property {string} [mode] - 'swallow', 'rethrow' or 'passthrough'; overrides the notifier's mode for this function
+ * @property {CaptureOptions|bool} [captureArgs] - adds snapshots of the arguments and of the selected properties
+ * of this to the report as call; true captures the arguments with the default limits
  */
-let _errorSubscribers = [];
+
+/**
+ * Breadcrumb settings
+ * @typedef {object} BreadcrumbOptions
+ * @property {number} [maxBreadcrumbs=20] - number of breadcrumbs kept; older ones are dropped
+ * @property {bool} [captureWrapCalls=true] - adds a breadcrumb each time a wrapped function is called
+ */
+
+/**
+ * Function returned by subscribe that removes the subscriber
+ * @typedef {function} Unsubscribe
+ * @return {bool} true if the subscriber was removed; false if it was already removed or never added
+ */
+
+/**
+ * What wrapped functions do with caught errors
+ * swallow - report the error and return the fallback
+ * rethrow - report the error and throw it (or reject with it) again
+ * passthrough - neither catch nor report the error
+ * @member {string[]}
+ */
+export const ERROR_MODES = ['swallow', 'rethrow', 'passthrough'];
 
 /**
  * Returns an array of argument names from a function
@@ -51,196 +119,1123 @@ export function getArgumentNames(targetFunction) {
 }
 
 /**
- * Determines if object is a function
- * @param {object} obj - any value with object on its prototype chain
- * @return {bool} true if obj is a function; false if not
+ * Determines if an error can be kept in a WeakSet; thrown strings and numbers can't
+ * @param {*} error
+ * @return {bool}
  */
-export function isFunction(obj) {
-    return !!(obj && obj.constructor && obj.call && obj.apply);
+function isTrackable(error) {
+    return !!error && (typeof error === 'object' || typeof error === 'function');
 }
 
-export function buildSubscriberList(errorSubscriberFunctions = []) {
-    return errorSubscriberFunctions.filter(function errorSubscriberFunctionsFilter(subscriberCallback, index) {
+/**
+ * Creates an error catch notifier with its own subscribers and enabled / logging flags
+ * Notifiers created by this factory do not share state with each other or with the top level exports
+ * @return {object} notifier with the same functions as the top level exports
+ */
+export function createErrorCatchNotifier() {
+    /**
+     * Error catching is enabled
+     * @member {bool}
+     */
+    let _isEnabled = false;
+
+    /**
+     * Uncaught exception / unhandled rejection handlers; their process listeners are attached while _isEnabled is true
+     * @member {object}
+     */
+    let _globalHandlers = null;
+
+    /**
+     * Sets _isEnabled and attaches or detaches the global handlers' process listeners to match
+     * @param {bool} isEnabled
+     */
+    function setIsEnabled(isEnabled) {
+        _isEnabled = isEnabled;
+
+        if (_globalHandlers) {
+            _globalHandlers.update();
+        }
+    }
+
+    /**
+     * Error logging is enabled
+     * @member {bool}
+     */
+    let _isLoggingEnabled = false;
+
+    /**
+     * Invalid configs throw instead of being logged and partly applied
+     * @member {bool}
+     */
+    let _isStrict = false;
+
+    /**
+     * Options last given to each configure function; reported by getConfig
+     * @member {object}
+     */
+    const _settings = {
+        breadcrumbs: { captureWrapCalls: true },
+        redaction: null,
+        sourceMaps: null,
+        stats: {},
+        throttle: null
+    };
+
+    /**
+     * Array of subscriptions called when an error is caught
+     * @member {object[]} _errorSubscribers
+     * @property {ErrorSubscriber} _errorSubscribers[].errorSubscriber - subscriber function
+     * @property {string} _errorSubscribers[].name - name used in log messages and failbacks
+     * @property {ErrorSubscriberOptions} _errorSubscribers[].options - options given to subscribe
+     */
+    let _errorSubscribers = [];
+
+    /**
+     * Deduplication / rate limit state; null when errors are not throttled
+     * @member {object}
+     */
+    let _throttle = null;
+
+    /**
+     * Recent breadcrumbs passed to subscribers
+     * @member {object}
+     */
+    let _breadcrumbs = createBreadcrumbTrail();
+
+    /**
+     * Wrapped function calls are added to _breadcrumbs
+     * @member {bool}
+     */
+    let _isCapturingWrapCalls = true;
+
+    /**
+     * Maps report frames to original sources; null when source maps are not configured
+     * @member {object}
+     */
+    let _sourceMapResolver = null;
+
+    /**
+     * Replaces sensitive data before errors reach subscribers; null when redaction is not configured
+     * @member {object}
+     */
+    let _redactor = null;
+
+    /**
+     * Test mode state: the recorder, its unsubscribe function and whether catching was enabled before;
+     * null when test mode is off
+     * @member {object}
+     */
+    let _testMode = null;
+
+    /**
+     * What wrapped functions do with caught errors; one of ERROR_MODES
+     * @member {string}
+     */
+    let _mode = 'swallow';
+
+    /**
+     * Errors reported during the outermost wrapped call running now; the wrapped calls nested in it don't report them again.
+     * null between calls
+     * @member {WeakSet}
+     */
+    let _callScope = null;
+
+    /**
+     * Errors the outermost wrapped call reported and rethrew, until consumeRethrownError is called with them
+     * @member {WeakSet}
+     */
+    const _rethrownErrors = new WeakSet();
+
+    /**
+     * Errors wrapped functions rethrew during the current task; wrapped async functions that reject with them don't
+     * report them again, even when the nested call started after an await. null when there are none
+     * @member {WeakSet}
+     */
+    let _recentlyRethrownErrors = null;
+
+    /**
+     * Adds an error to _recentlyRethrownErrors, which is cleared once the current task and its promise jobs are done
+     * @param {error} error
+     */
+    function markRecentlyRethrown(error) {
+        if (!_recentlyRethrownErrors) {
+            _recentlyRethrownErrors = new WeakSet();
+            startTimer(function forgetRecentlyRethrownErrors() {
+                _recentlyRethrownErrors = null;
+            }, 0);
+        }
+
+        _recentlyRethrownErrors.add(error);
+    }
+
+    /**
+     * Metric counters of wrapped functions and subscribers
+     * @member {object}
+     */
+    const _stats = createStats();
+
+    /**
+     * Receives the notifier's diagnostics while logging is enabled
+     * @member {object}
+     */
+    const _logger = createLogger();
+
+    /**
+     * Passes a structured entry to the logger when logging is enabled
+     * @param {string} level - 'debug', 'info', 'warn' or 'error'
+     * @param {string} code - identifies the kind of message
+     * @param {string} message
+     * @param {object} [data] - structured fields; detail holds the reason, error or value the message is about
+     */
+    function log(level, code, message, data) {
+        if (_isLoggingEnabled) {
+            _logger.log(level, code, message, data);
+        }
+    }
+
+    /**
+     * Checks that a subscriber is a function that takes an error as its first argument
+     * Logs a warning for invalid subscribers
+     * @param {ErrorSubscriber} subscriberCallback - candidate subscriber
+     * @param {ErrorSubscriberOptions} [subscriberOptions={}]
+     * @param {string} [location=''] - appended to the warning for subscribers that are not functions
+     * @return {bool} true if subscriberCallback is a valid subscriber; false if not
+     */
+    function isValidErrorSubscriber(subscriberCallback, subscriberOptions = {}, location = '') {
         // subscribers must be a function
         if (!isFunction(subscriberCallback)) {
-            if (_isLoggingEnabled) {
-                console.warn(`Skipping error subscriber: ${subscriberCallback} at errorSubscribers index ${index}`);
-                console.warn('Subscriber is not a function');
-            }
+            log('warn', 'SUBSCRIBER_NOT_FUNCTION', `Skipping error subscriber: ${subscriberCallback}${location}`, {
+                detail: 'Subscriber is not a function'
+            });
 
             return false;
         }
 
         // subscribers must take an error as their first argument
-        const subscriberFunctionArgumentNames = getArgumentNames(subscriberCallback);
-        if (subscriberFunctionArgumentNames[0] !== 'error') {
-            if (_isLoggingEnabled) {
-                console.warn(`Skipping error subscriber: ${subscriberCallback.name}`);
-                console.warn('First argument of subscriber function must be named error');
-            }
+        if (subscriberCallback.length === 0 && !subscriberOptions.acceptsError) {
+            const subscriberName = subscriberOptions.name || subscriberCallback.name;
+
+            log('warn', 'SUBSCRIBER_MISSING_ERROR_PARAMETER', `Skipping error subscriber: ${subscriberName}`, {
+                subscriberName,
+                detail: 'Subscriber function must accept an error as its first argument'
+            });
 
             return false;
         }
 
         return true;
-    });
-}
+    }
 
-/**
- * Sets error messages to be logged to console
- */
-export function enableLogging() {
-    _isLoggingEnabled = true;
-}
+    function buildSubscriberList(errorSubscriberFunctions = []) {
+        return errorSubscriberFunctions.filter(function errorSubscriberFunctionsFilter(subscriberCallback, index) {
+            return isValidErrorSubscriber(subscriberCallback, {}, ` at errorSubscribers index ${index}`);
+        });
+    }
 
-export function disableLogging() {
-    _isLoggingEnabled = false;
-}
+    /**
+     * Creates a subscription record for _errorSubscribers
+     * @param {ErrorSubscriber} errorSubscriber
+     * @param {ErrorSubscriberOptions} [subscriberOptions={}]
+     * @return {object} subscription
+     */
+    function makeSubscription(errorSubscriber, subscriberOptions = {}) {
+        return {
+            errorSubscriber,
+            name: subscriberOptions.name || errorSubscriber.name,
+            options: subscriberOptions
+        };
+    }
 
-/**
- * Sets error catching on
- */
-export function enableErrorCatching() {
-    if (_errorSubscribers.length === 0) {
-        if (_isLoggingEnabled) {
-            console.warn('No valid error subscribers provided. Use init to pass valid error subscribers');
+    /**
+     * Replaces every subscription; the test mode recorder's stays while test mode is on
+     * @param {object[]} subscriptions - made with makeSubscription
+     */
+    function replaceSubscriptions(subscriptions) {
+        const keptSubscriptions = _errorSubscribers.filter(function isTestModeRecorder(subscription) {
+            return !!_testMode && subscription.errorSubscriber === _testMode.recorder;
+        });
+
+        _errorSubscribers = subscriptions.concat(keptSubscriptions);
+    }
+
+    /**
+     * Adds an error subscriber without replacing the subscribers given to init
+     * Invalid subscribers are skipped and a no-op unsubscribe is returned
+     * @param {ErrorSubscriber} errorSubscriber - function called when error is caught by wrap
+     * @param {ErrorSubscriberOptions} [subscriberOptions={}]
+     * @return {Unsubscribe}
+     */
+    function subscribe(errorSubscriber, subscriberOptions = {}) {
+        if (!isValidErrorSubscriber(errorSubscriber, subscriberOptions)) {
+            return function unsubscribeInvalid() {
+                return false;
+            };
         }
 
-        _isEnabled = false;
+        const subscription = makeSubscription(errorSubscriber, subscriberOptions);
+        _errorSubscribers = _errorSubscribers.concat(subscription);
+
+        return function unsubscribe() {
+            if (_errorSubscribers.indexOf(subscription) === -1) {
+                return false;
+            }
+
+            _errorSubscribers = _errorSubscribers.filter(function removeSubscription(candidate) {
+                return candidate !== subscription;
+            });
 
-        return;
+            return true;
+        };
     }
 
-    _isEnabled = true;
-}
+    /**
+     * Sets the module's diagnostics to be logged
+     * @param {LoggingOptions} [loggingOptions] - replaces the logger and minimum level; without it the previous ones are kept
+     */
+    function enableLogging(loggingOptions) {
+        if (loggingOptions) {
+            _logger.configure(loggingOptions);
+        }
 
-/**
- * Sets error catching off
- */
-export function disableErrorCatching() {
-    _isEnabled = false;
+        _isLoggingEnabled = true;
+    }
 
-    return true;
-}
+    function disableLogging() {
+        _isLoggingEnabled = false;
+    }
 
-/**
- * Sets _errorSubscribers array
- * @param {function[]} errorSubscriberFunctions - array of ErrorSubscriber
- * @param {ErrorSubscriber} errorSubscriberFunctions[] - function called when error is caught by wrap
- * @param {bool} [enabled=false] - errors caught by wrap will be passed to errorSubscribers when true
- * @param {bool} [loggingEnabled=false] - error messages will be logged to console when true
- */
-export function initErrorCatchNotifier(errorSubscriberFunctions = [], enabled = false, loggingEnabled = false) {
-    loggingEnabled ? enableLogging() : disableLogging();
+    /**
+     * Sets error catching on
+     */
+    function enableErrorCatching() {
+        if (_errorSubscribers.length === 0) {
+            log('warn', 'NO_SUBSCRIBERS', 'No valid error subscribers provided. Use init to pass valid error subscribers');
 
-    if (!Array.isArray(errorSubscriberFunctions)) {
-        if (_isLoggingEnabled) {
-            console.error('errorSubscriberFunctions must be an array of functions');
+            setIsEnabled(false);
 
             return;
         }
+
+        setIsEnabled(true);
     }
 
-    _errorSubscribers = buildSubscriberList(errorSubscriberFunctions);
+    /**
+     * Sets error catching off
+     */
+    function disableErrorCatching() {
+        setIsEnabled(false);
 
-    enabled ? enableErrorCatching() : disableErrorCatching();
-}
+        return true;
+    }
 
-/**
- * Failback error subscribers are called with
- * Used as a hook for module to log errors caused by async behavior in errorSubscriber
- * @typedef {function} ErrorSubscriberFailback
- * @param {error} error - error object
- * @param {data} data - success data
- */
+    /**
+     * Curries error subscriber name with error subscriber failback
+     * @param {string} errorSubscriberName - name of error subscriber; typically the function name is used
+     * @return {ErrorSubscriberFailback}
+     */
+    function makeErrorSubscriberFailback(errorSubscriberName) {
+        return function errorSubscriberFailback(error, data) {
+            if (!_isLoggingEnabled) {
+                return;
+            }
 
-/**
- * Curries error subscriber name with error subscriber failback
- * @param {string} errorSubscriberName - name of error subscriber; typically the function name is used
- * @return {ErrorSubscriberFailback}
- */
-export function makeErrorSubscriberFailback(errorSubscriberName) {
-    return function errorSubscriberFailback(error, data) {
-        if (!_isLoggingEnabled) {
-            return;
+            if (error) {
+                log('error', 'SUBSCRIBER_FAILED', `Error subscriber ${errorSubscriberName} failed with error`, {
+                    subscriberName: errorSubscriberName,
+                    detail: error
+                });
+            }
+
+            if (data) {
+                log('info', 'SUBSCRIBER_SUCCEEDED', `Error subscriber ${errorSubscriberName} succeeded with`, {
+                    subscriberName: errorSubscriberName,
+                    detail: data
+                });
+            }
+        };
+    }
+
+    /**
+     * Passes an error to one subscriber if its filters accept it
+     * Subscribers that throw are logged and skipped; rejections and timeouts are passed to the failback
+     * @param {object} subscription
+     * @param {error} error
+     * @param {object} options
+     * @param {Breadcrumb[]} breadcrumbs
+     * @param {ErrorReport} report
+     * @return {Promise|null} resolves with a DeliveryResult; null when the subscriber's filters reject the error
+     */
+    function deliverToSubscription(subscription, error, options, breadcrumbs, report) {
+        const failback = makeErrorSubscriberFailback(subscription.name);
+        let value;
+
+        try {
+            if (!acceptsReport(subscription.options, error, options, report)) {
+                return null;
+            }
+
+            value = subscription.errorSubscriber(error, options, failback, breadcrumbs, report);
+        } catch (catchError) {
+            log('error', 'SUBSCRIBER_THREW', `Skipping error subscriber: ${subscription.name}`, {
+                subscriberName: subscription.name,
+                detail: catchError
+            });
+
+            _stats.recordDelivery(subscription.name, 'rejected');
+
+            return Promise.resolve({ name: subscription.name, status: 'rejected', reason: catchError });
         }
 
-        if (error) {
-            console.error(`Error subscriber ${errorSubscriberName} failed with error`);
-            console.error(error);
+        return settleWithTimeout(value, subscription.options.timeout).then(function handleSettled(result) {
+            _stats.recordDelivery(subscription.name, result.status);
+
+            if (result.status !== 'fulfilled') {
+                failback(result.reason);
+            }
+
+            return { name: subscription.name, ...result };
+        });
+    }
+
+    /**
+     * Passes an error to each callback in _errorSubscribers whose filters accept it, without throttling
+     * Subscribers are called synchronously, in order; promises they return are waited for concurrently
+     * When redaction is configured subscribers receive redacted copies, unless they opted out
+     * @param {error} error
+     * @param {object} options
+     * @param {object} [context={}] - report details that are not part of options; see createErrorReport
+     * @return {Promise} resolves with a DeliveryResult for each subscriber that received the error; never rejects
+     */
+    function deliverToSubscribers(error, options, context = {}) {
+        // subscribers may unsubscribe while being notified; _errorSubscribers is replaced, not mutated
+        const subscriptions = _errorSubscribers;
+        const breadcrumbs = _breadcrumbs.getAll();
+        const report = createErrorReport(error, { ...context, options, breadcrumbs });
+        const redactor = _redactor;
+        const deliveries = [];
+        let redacted = null;
+
+        if (_sourceMapResolver) {
+            report.frames = _sourceMapResolver.resolveFrames(report.frames);
         }
 
-        if (data) {
-            console.log(`Error subscriber ${errorSubscriberName} succeeded with`);
-            console.log(data);
+        for (let i = 0; i < subscriptions.length; i += 1) {
+            const subscription = subscriptions[i];
+            let delivery;
+
+            if (redactor && subscription.options.redact !== false) {
+                // redacted once, the first time a subscriber needs it
+                redacted = redacted || {
+                    error: redactor.redact(error),
+                    options: redactor.redact(options),
+                    breadcrumbs: redactor.redact(breadcrumbs),
+                    report: redactor.redact(report)
+                };
+                delivery = deliverToSubscription(subscription, redacted.error, redacted.options, redacted.breadcrumbs, redacted.report);
+            } else {
+                delivery = deliverToSubscription(subscription, error, options, breadcrumbs, report);
+            }
+
+            if (delivery) {
+                deliveries.push(delivery);
+            }
         }
-    };
-}
 
-/**
- * Passes an error to each callback in _errorSubscribers
- * @param {error} error
- * @param {object} options
- */
-export function notifyErrorSubscribers(error, options) {
-    for (let i = 0; i < _errorSubscribers.length; i += 1) {
-        const errorSubscriber = _errorSubscribers[i];
+        return Promise.all(deliveries);
+    }
+
+    /**
+     * Adds a breadcrumb to the trail passed to subscribers
+     * @param {object} breadcrumb
+     * @param {string} [breadcrumb.category]
+     * @param {string} [breadcrumb.message]
+     * @param {object} [breadcrumb.data]
+     * @param {number} [breadcrumb.timestamp=Date.now()]
+     * @return {Breadcrumb}
+     */
+    function addBreadcrumb(breadcrumb) {
+        return _breadcrumbs.add(breadcrumb);
+    }
+
+    /**
+     * Gets the breadcrumb trail, oldest first
+     * @return {Breadcrumb[]}
+     */
+    function getBreadcrumbs() {
+        return _breadcrumbs.getAll();
+    }
+
+    function clearBreadcrumbs() {
+        _breadcrumbs.clear();
+    }
+
+    /**
+     * Changes breadcrumb settings
+     * Changing maxBreadcrumbs keeps the most recent breadcrumbs that fit
+     * @param {BreadcrumbOptions} [breadcrumbOptions={}]
+     */
+    function configureBreadcrumbs({ maxBreadcrumbs, captureWrapCalls = true } = {}) {
+        const previousBreadcrumbs = _breadcrumbs.getAll();
+
+        _breadcrumbs = createBreadcrumbTrail(maxBreadcrumbs);
+        previousBreadcrumbs.forEach(function copyBreadcrumb(breadcrumb) {
+            _breadcrumbs.add(breadcrumb);
+        });
+
+        _isCapturingWrapCalls = captureWrapCalls;
+        _settings.breadcrumbs = { maxBreadcrumbs, captureWrapCalls };
+    }
+
+    /**
+     * Maps the stack frames of error reports back to original sources
+     * Replaces any previous settings and clears the cache of loaded source maps
+     * @param {SourceMapOptions} [sourceMapOptions] - falsy turns source map resolution off
+     */
+    function configureSourceMaps(sourceMapOptions) {
+        _sourceMapResolver = sourceMapOptions ? createSourceMapResolver(sourceMapOptions) : null;
+        _settings.sourceMaps = sourceMapOptions || null;
+    }
+
+    /**
+     * Replaces emails, tokens, card numbers and other sensitive data before errors are passed to subscribers
+     * Subscribers receive redacted copies of the error, options, breadcrumbs and report;
+     * subscribers registered with redact set to false receive the originals.
+     * Replaces any previous settings
+     * @param {RedactionOptions|bool} [redactionOptions] - true uses the default settings; falsy turns redaction off
+     */
+    function configureRedaction(redactionOptions) {
+        _redactor = redactionOptions ? createRedactor(redactionOptions === true ? {} : redactionOptions) : null;
+        _settings.redaction = redactionOptions || null;
+    }
+
+    /**
+     * Delivers the count of suppressed reports for a fingerprint
+     * Subscribers receive the first error of the window with a copy of its options
+     * that adds fingerprint and suppressedCount
+     * @param {SuppressedSummary} summary
+     */
+    function deliverSuppressedSummary(summary) {
+        const summaryDetails = {
+            fingerprint: summary.fingerprint,
+            suppressedCount: summary.suppressedCount
+        };
+
+        deliverToSubscribers(summary.error, { ...summary.options, ...summaryDetails }, { ...summary.context, ...summaryDetails });
+    }
+
+    /**
+     * Deduplicates and rate limits errors before they are passed to subscribers
+     * Replaces any previous settings; pending suppressed counts are discarded
+     * @param {ThrottleOptions} [throttleOptions] - falsy turns throttling off
+     */
+    function configureThrottle(throttleOptions) {
+        if (_throttle) {
+            _throttle.dispose();
+        }
+
+        _throttle = throttleOptions ? createThrottle(throttleOptions, deliverSuppressedSummary) : null;
+        _settings.throttle = throttleOptions || null;
+    }
+
+    /**
+     * Fingerprints and throttles an error, then passes it to subscribers
+     * @param {error} error
+     * @param {object} options
+     * @param {object} [context={}] - report details that are not part of options; see createErrorReport
+     * @return {Promise} resolves with a DeliveryResult for each subscriber that received the error
+     */
+    function notify(error, options, context = {}) {
+        const fingerprint = getErrorFingerprint(error, options);
+
+        if (_throttle && !_throttle.shouldNotify(fingerprint, error, options, context)) {
+            return Promise.resolve([]);
+        }
+
+        return deliverToSubscribers(error, options, { ...context, fingerprint });
+    }
+
+    /**
+     * Passes an error to each callback in _errorSubscribers
+     * Repeats of an error are dropped when configureThrottle has been called
+     * @param {error} error
+     * @param {object} options
+     * @return {Promise} resolves with a DeliveryResult for each subscriber that received the error,
+     * once every subscriber's promise has settled or timed out; never rejects
+     */
+    function notifyErrorSubscribers(error, options) {
+        return notify(error, options);
+    }
+
+    /**
+     * Sets what wrapped functions do with caught errors, unless they are given a mode of their own
+     * Invalid modes are ignored, with a warning when logging is enabled
+     * @param {string} mode - 'swallow', 'rethrow' or 'passthrough'
+     */
+    function setMode(mode) {
+        if (ERROR_MODES.indexOf(mode) === -1) {
+            log('warn', 'INVALID_MODE', `Ignoring error mode: ${mode}`, {
+                mode,
+                detail: `Mode must be one of ${ERROR_MODES.join(', ')}`
+            });
+
+            return;
+        }
+
+        _mode = mode;
+    }
+
+    /**
+     * Gets _mode
+     * @return {string}
+     */
+    function getMode() {
+        return _mode;
+    }
+
+    /**
+     * Determines if an error was reported and rethrown by a wrapped function, and forgets it
+     * Global handlers, error boundaries and middleware call this so such errors are not reported again
+     * @param {error} error
+     * @return {bool} true the first time it is called with an error wrap reported and rethrew
+     */
+    function consumeRethrownError(error) {
+        return _rethrownErrors.delete(error);
+    }
+
+    /**
+     * Gets what a wrapped function or callback does with a caught error
+     * @param {object} [options] - options of the wrapped function; a valid mode in them wins over _mode
+     * @return {string} one of ERROR_MODES
+     */
+    function resolveMode(options) {
+        const mode = options && ERROR_MODES.indexOf(options.mode) !== -1 ? options.mode : _mode;
+
+        return _testMode && mode === 'swallow' ? 'rethrow' : mode;
+    }
+
+    /**
+     * Calls a function in the scope of the outermost wrapped call running now, or in a new scope,
+     * with an error already reported in it; wrapped functions it calls don't report that error again
+     * @param {error} error - error that was just reported
+     * @param {function} callback
+     * @return {*} value of callback
+     */
+    function callWithReportedError(error, callback) {
+        const isOutermost = !_callScope;
+        const reportedErrors = _callScope || new WeakSet();
+
+        if (isTrackable(error)) {
+            reportedErrors.add(error);
+        }
+
+        _callScope = reportedErrors;
+
         try {
-            errorSubscriber(error, options, makeErrorSubscriberFailback(errorSubscriber.name));
-        } catch (catchError) {
-            if (!_isLoggingEnabled) {
-                return;
+            return callback();
+        } catch (thrownError) {
+            if (isOutermost && reportedErrors.has(thrownError)) {
+                _rethrownErrors.add(thrownError);
             }
 
-            console.error(`Skipping error subscriber: ${errorSubscriber.name}`);
-            console.error(catchError);
+            throw thrownError;
+        } finally {
+            if (isOutermost) {
+                _callScope = null;
+            }
         }
     }
-}
 
-/**
- * Wrap a target function in a try catch.
- * Errors caught by this block will be passed to _errorSubscribers
- * @param {function} targetFunction - function definition to be wrapped in try catch
- * @param {object} options - options passed to notifiyErrorSubscribers
- */
-export function wrap(targetFunction, options) {
-    function wrappedFunction(...args) {
-        if (!_isEnabled) {
-            return targetFunction.apply(this, args);
+    /**
+     * Gets the metric counters of wrapped functions and subscribers
+     * @return {Stats}
+     */
+    function getStats() {
+        return _stats.getStats();
+    }
+
+    /**
+     * Sets every metric counter back to zero
+     */
+    function resetStats() {
+        _stats.reset();
+    }
+
+    /**
+     * Changes metric settings: duration histograms and periodic snapshots
+     * Replaces any previous settings; counters are kept
+     * @param {StatsOptions} [statsOptions]
+     */
+    function configureStats(statsOptions) {
+        _stats.configure(statsOptions);
+        _settings.stats = statsOptions || {};
+    }
+
+    /**
+     * Turns on test mode: errors are recorded in memory and wrapped functions rethrow them after reporting
+     * Error catching is enabled; other subscribers keep receiving errors.
+     * Calling it again returns the same recorder.
+     * @return {ErrorSubscriber} recorder with getCapturedErrors, expectErrorReported and reset functions
+     */
+    function enableTestMode() {
+        if (_testMode) {
+            return _testMode.recorder;
         }
 
-        let value;
+        const recorder = createErrorRecorder();
 
-        try {
-            value = targetFunction.apply(this, args);
-        } catch (error) {
-            notifyErrorSubscribers(error, options);
+        _testMode = { recorder, unsubscribe: subscribe(recorder, { name: 'errorRecorder', redact: false }), wasEnabled: _isEnabled };
+        enableErrorCatching();
+
+        return recorder;
+    }
+
+    /**
+     * Turns off test mode, removing its recorder and restoring whether error catching is enabled
+     */
+    function disableTestMode() {
+        if (!_testMode) {
+            return;
         }
 
-        return value;
+        const { unsubscribe, wasEnabled } = _testMode;
+
+        _testMode = null;
+        unsubscribe();
+        wasEnabled ? enableErrorCatching() : disableErrorCatching();
     }
 
-    // Name in the format of 'errorCatchNotifierWrap(MyComponentName)
-    // Note that this is only intended to show up in React PropType errors,
-    // stack traces won't read this value.
-    wrappedFunction.displayName = `errorCatchNotifierWrap(${targetFunction.name})`;
+    /**
+     * Changes the settings given and keeps the others
+     * Every field is validated before anything changes. Invalid fields are skipped and every problem is logged
+     * in one ConfigurationError; in strict mode the error is thrown instead and nothing changes.
+     * @param {NotifierConfig} partialConfig
+     * @return {error|null} ConfigurationError listing every problem; null when the config is valid
+     */
+    function configure(partialConfig) {
+        const problems = validateConfig(partialConfig, ERROR_MODES);
+        const config = isPlainObject(partialConfig) ? partialConfig : {};
+        const hasValid = field => config[field] !== undefined && !problems.some(problem => problem.field === field);
+        const subscriberCount = hasValid('subscribers') ? config.subscribers.length : _errorSubscribers.length;
 
-    return wrappedFunction;
-}
+        if (config.enabled === true && subscriberCount === 0) {
+            problems.push({ field: 'enabled', message: 'enabled requires at least one subscriber' });
+        }
 
-/**
- * Gets _isEnabled
- * For unit tests
- */
-export function getIsEnabled() {
-    return _isEnabled;
+        const error = problems.length ? createConfigurationError(problems) : null;
+
+        if (error && (hasValid('strict') ? config.strict : _isStrict)) {
+            throw error;
+        }
+
+        if (hasValid('strict')) {
+            _isStrict = config.strict;
+        }
+
+        if (hasValid('logging')) {
+            config.logging ? enableLogging(config.logging === true ? undefined : config.logging) : disableLogging();
+        }
+
+        if (hasValid('subscribers')) {
+            replaceSubscriptions(config.subscribers.map(function configSubscription(entry) {
+                return isFunction(entry) ? makeSubscription(entry) : makeSubscription(entry.subscriber, entry.options);
+            }));
+        }
+
+        if (hasValid('mode')) {
+            setMode(config.mode);
+        }
+
+        if (hasValid('throttle')) {
+            configureThrottle(config.throttle);
+        }
+
+        if (hasValid('breadcrumbs')) {
+            configureBreadcrumbs(config.breadcrumbs);
+        }
+
+        if (hasValid('redaction')) {
+            configureRedaction(config.redaction);
+        }
+
+        if (hasValid('sourceMaps')) {
+            configureSourceMaps(config.sourceMaps);
+        }
+
+        if (hasValid('stats')) {
+            configureStats(config.stats);
+        }
+
+        if (hasValid('enabled')) {
+            config.enabled ? enableErrorCatching() : disableErrorCatching();
+        }
+
+        if (error) {
+            log('error', 'INVALID_CONFIG', 'Invalid error catch notifier config', { problems, detail: error });
+        }
+
+        return error;
+    }
+
+    /**
+     * Sets _errorSubscribers array
+     * Called with a NotifierConfig as its only argument, it resets subscribers, enabled and logging
+     * and changes the other settings given; see configure
+     * @param {function[]|NotifierConfig} errorSubscriberFunctions - array of ErrorSubscriber
+     * @param {ErrorSubscriber} errorSubscriberFunctions[] - function called when error is caught by wrap
+     * @param {bool} [enabled=false] - errors caught by wrap will be passed to errorSubscribers when true
+     * @param {bool|LoggingOptions} [loggingEnabled=false] - the module's diagnostics will be logged when truthy;
+     * LoggingOptions also set the logger and minimum level. Invalid LoggingOptions are skipped like invalid config fields,
+     * and anything other than an array of subscribers leaves the subscribers and enabled unchanged
+     * @return {error|null} ConfigurationError listing every problem; null when the arguments are valid
+     */
+    function initErrorCatchNotifier(errorSubscriberFunctions = [], ...flags) {
+        if (flags.length === 0 && isPlainObject(errorSubscriberFunctions)) {
+            return configure({ subscribers: [], enabled: false, logging: false, ...errorSubscriberFunctions });
+        }
+
+        const [enabled = false, loggingEnabled = false] = flags;
+        const loggingOptions = loggingEnabled && typeof loggingEnabled === 'object' ? loggingEnabled : undefined;
+        const problems = validateConfig({
+            subscribers: Array.isArray(errorSubscriberFunctions) ? undefined : errorSubscriberFunctions,
+            logging: loggingOptions
+        }, ERROR_MODES);
+        const hasProblem = field => problems.some(problem => problem.field === field);
+        const error = problems.length ? createConfigurationError(problems) : null;
+
+        if (error && _isStrict) {
+            throw error;
+        }
+
+        if (!hasProblem('logging')) {
+            loggingEnabled ? enableLogging(loggingOptions) : disableLogging();
+        }
+
+        if (hasProblem('subscribers')) {
+            log('error', 'INVALID_SUBSCRIBER_LIST', 'errorSubscriberFunctions must be an array of functions', { problems, detail: error });
+
+            return error;
+        }
+
+        replaceSubscriptions(buildSubscriberList(errorSubscriberFunctions).map(function initSubscription(errorSubscriber) {
+            return makeSubscription(errorSubscriber);
+        }));
+
+        enabled ? enableErrorCatching() : disableErrorCatching();
+
+        if (error) {
+            log('error', 'INVALID_CONFIG', 'Invalid error catch notifier config', { problems, detail: error });
+        }
+
+        return error;
+    }
+
+    /**
+     * Wrap a target function in a try catch.
+     * Errors caught by this block will be passed to _errorSubscribers
+     * When the target function returns a thenable, its rejection is caught as well
+     * and the returned promise resolves to undefined or the fallback.
+     * If error catching is disabled by the time the promise rejects, the rejection passes through.
+     * Retries run whether or not error catching is enabled; only the final error is reported.
+     * The mode (options.mode, or the notifier's mode) decides whether errors are swallowed, reported and rethrown,
+     * or passed through without being reported. In test mode swallowed errors are rethrown instead.
+     * An error rethrown by a nested wrapped function is not reported again.
+     * With options.captureArgs, the arguments and receiver are snapshotted when the error is caught.
+     * @param {function} targetFunction - function definition to be wrapped in try catch
+     * @param {WrapOptions} options - options passed to notifiyErrorSubscribers
+     */
+    function wrap(targetFunction, options) {
+        const hasFallback = !!options && options.hasOwnProperty('fallback');
+
+        /**
+         * Gets the value returned in place of a caught error
+         * @param {error} error - caught error
+         * @param {array} args - arguments the wrapped function was called with
+         * @return {*} fallback value; undefined when no fallback is given
+         */
+        function getFallbackValue(error, args) {
+            if (!hasFallback) {
+                return undefined;
+            }
+
+            return isFunction(options.fallback) ? options.fallback.call(this, error, args) : options.fallback;
+        }
+
+        /**
+         * Gets the options passed to notifyErrorSubscribers
+         * @param {error[]} retryErrors - errors of every failed attempt, including the final one
+         * @return {WrapOptions}
+         */
+        function getNotifyOptions(retryErrors) {
+            if (!options || !options.retry) {
+                return options;
+            }
+
+            return {
+                ...options,
+                retryAttempts: retryErrors.length,
+                retryErrors: retryErrors.slice(0, -1)
+            };
+        }
+
+        const reportContext = { source: 'wrap', functionName: targetFunction.name };
+        const statsKey = getStatsKey(targetFunction, options);
+
+        /**
+         * Reports a caught error unless a nested wrapped function already did, then rethrows it or gets the fallback
+         * @param {error} error - caught error
+         * @param {string} mode - 'swallow' or 'rethrow'
+         * @param {error[]} retryErrors
+         * @param {array} args - arguments the wrapped function was called with
+         * @param {CapturedCall} [call] - arguments and this, snapshotted when the call started
+         * @param {object} callScope - reportedErrors of the outermost call, whether this call is it and whether the
+         * error is a rejection
+         * @return {*} fallback value
+         */
+        function handleCaughtError(error, mode, retryErrors, args, call, callScope) {
+            const isReported = isTrackable(error) && (callScope.reportedErrors.has(error) ||
+                (callScope.isRejection && !!_recentlyRethrownErrors && _recentlyRethrownErrors.has(error)));
+
+            if (!isReported) {
+                _stats.recordCaughtError(statsKey);
+                notify(error, getNotifyOptions(retryErrors), call ? { ...reportContext, call } : reportContext);
+
+                if (isTrackable(error)) {
+                    callScope.reportedErrors.add(error);
+                }
+            }
+
+            if (isTrackable(error) && callScope.isOutermost) {
+                mode === 'rethrow' ? _rethrownErrors.add(error) : _rethrownErrors.delete(error);
+            }
+
+            if (mode === 'rethrow') {
+                if (isTrackable(error)) {
+                    markRecentlyRethrown(error);
+                }
+
+                throw error;
+            }
+
+            return getFallbackValue.call(this, error, args);
+        }
+
+        function wrappedFunction(...args) {
+            const context = this;
+            const retryErrors = [];
+
+            function invokeTarget() {
+                return targetFunction.apply(context, args);
+            }
+
+            function callTarget() {
+                return _stats.invoke(statsKey, function invokeWithOptionalRetry() {
+                    return options && options.retry ? invokeWithRetry(invokeTarget, options.retry, retryErrors) : invokeTarget();
+                });
+            }
+
+            const mode = resolveMode(options);
+
+            if (!_isEnabled || mode === 'passthrough') {
+                return callTarget();
+            }
+
+            if (_isCapturingWrapCalls) {
+                _breadcrumbs.add({ category: 'wrap', message: targetFunction.name });
+            }
+
+            // snapshotted before the target runs, so async functions can't change what is reported
+            const call = options && options.captureArgs ? captureCall(args, this, options.captureArgs) : undefined;
+            // wrapped functions called before this call returns share its scope; the ones called later get their own
+            const callScope = { reportedErrors: _callScope || new WeakSet(), isOutermost: !_callScope };
+            let value;
+
+            _callScope = callScope.reportedErrors;
+
+            try {
+                value = callTarget();
+            } catch (error) {
+                return handleCaughtError.call(this, error, mode, retryErrors, args, call, callScope);
+            } finally {
+                if (callScope.isOutermost) {
+                    _callScope = null;
+                }
+            }
+
+            if (isThenable(value)) {
+                return value.then(undefined, function wrappedFunctionRejection(error) {
+                    const rejectionMode = resolveMode(options);
+
+                    if (!_isEnabled || rejectionMode === 'passthrough') {
+                        throw error;
+                    }
+
+                    return handleCaughtError.call(context, error, rejectionMode, retryErrors, args, call, { ...callScope, isRejection: true });
+                });
+            }
+
+            return value;
+        }
+
+        // Name in the format of 'errorCatchNotifierWrap(MyComponentName)
+        // Note that this is only intended to show up in React PropType errors,
+        // stack traces won't read this value.
+        wrappedFunction.displayName = `errorCatchNotifierWrap(${targetFunction.name})`;
+
+        return wrappedFunction;
+    }
+
+    /**
+     * wrapObject and wrapClass bound to this notifier's wrap
+     * @member {object}
+     */
+    const _objectWrappers = createObjectWrappers(wrap);
+
+    /**
+     * Gets _isEnabled
+     * For unit tests
+     */
+    function getIsEnabled() {
+        return _isEnabled;
+    }
+
+    /**
+     * Gets _isLoggingEnabled
+     * For unit tests
+     */
+    function getIsLoggingEnabled() {
+        return _isLoggingEnabled;
+    }
+
+    /**
+     * Gets the current settings, for debugging
+     * Subscribers are described by name and options; other settings are the options last given to their
+     * configure function
+     * @return {object}
+     */
+    function getConfig() {
+        return {
+            subscribers: _errorSubscribers.map(({ name, options }) => ({ name, options })),
+            enabled: _isEnabled,
+            logging: _isLoggingEnabled ? _logger.getOptions() : false,
+            mode: _mode,
+            throttle: _settings.throttle,
+            breadcrumbs: _settings.breadcrumbs,
+            redaction: _settings.redaction,
+            sourceMaps: _settings.sourceMaps,
+            stats: _settings.stats,
+            strict: _isStrict,
+            testMode: !!_testMode
+        };
+    }
+
+    _globalHandlers = createGlobalHandlers(notifyErrorSubscribers, getIsEnabled, consumeRethrownError);
+
+    /**
+     * wrapCallback and wrapEmitter bound to this notifier
+     * @member {object}
+     */
+    const _callbackWrappers = createCallbackWrappers({ notify, isEnabled: getIsEnabled, wrap, resolveMode, callWithReportedError });
+
+    /**
+     * Passes uncaught exceptions and unhandled rejections to subscribers
+     * Hooks process uncaughtException / unhandledRejection in Node and
+     * window.onerror / unhandledrejection in browsers, chaining any previous window.onerror.
+     * Subscribers receive options with source set to the event that caught the error.
+     * While error catching is disabled errors are not reported and keep their default behavior; in Node the process
+     * listeners are detached until catching is enabled again.
+     * In Node the process exits after an uncaught exception is reported, unless exitOnUncaughtException is false.
+     * @param {GlobalHandlerTargets} [targets]
+     * @return {bool} true if the handlers were installed; false if they already were
+     */
+    function installGlobalHandlers(targets) {
+        return _globalHandlers.install(targets);
+    }
+
+    /**
+     * Removes the handlers added by installGlobalHandlers
+     * @return {bool} true if the handlers were removed; false if they were not installed
+     */
+    function uninstallGlobalHandlers() {
+        return _globalHandlers.uninstall();
+    }
+
+    return {
+        addBreadcrumb,
+        buildSubscriberList,
+        clearBreadcrumbs,
+        configure,
+        configureBreadcrumbs,
+        configureRedaction,
+        configureSourceMaps,
+        configureStats,
+        configureThrottle,
+        consumeRethrownError,
+        disableErrorCatching,
+        disableLogging,
+        disableTestMode,
+        enableErrorCatching,
+        enableLogging,
+        enableTestMode,
+        getBreadcrumbs,
+        getConfig,
+        getIsEnabled,
+        getIsLoggingEnabled,
+        getMode,
+        getStats,
+        initErrorCatchNotifier,
+        installGlobalHandlers,
+        makeErrorSubscriberFailback,
+        notifyErrorSubscribers,
+        resetStats,
+        setMode,
+        subscribe,
+        uninstallGlobalHandlers,
+        wrap,
+        wrapCallback: _callbackWrappers.wrapCallback,
+        wrapClass: _objectWrappers.wrapClass,
+        wrapEmitter: _callbackWrappers.wrapEmitter,
+        wrapObject: _objectWrappers.wrapObject
+    };
 }
 
 /**
- * Gets _isLoggingEnabled
- * For unit tests
+ * Notifier backing the top level exports
+ * @member {object}
  */
-export function getIsLoggingEnabled() {
-    return _isLoggingEnabled;
-}
+const _defaultNotifier = createErrorCatchNotifier();
+
+export const addBreadcrumb = _defaultNotifier.addBreadcrumb;
+export const buildSubscriberList = _defaultNotifier.buildSubscriberList;
+export const clearBreadcrumbs = _defaultNotifier.clearBreadcrumbs;
+export const configure = _defaultNotifier.configure;
+export const configureBreadcrumbs = _defaultNotifier.configureBreadcrumbs;
+export const configureRedaction = _defaultNotifier.configureRedaction;
+export const configureSourceMaps = _defaultNotifier.configureSourceMaps;
+export const configureStats = _defaultNotifier.configureStats;
+export const configureThrottle = _defaultNotifier.configureThrottle;
+export const consumeRethrownError = _defaultNotifier.consumeRethrownError;
+export const disableErrorCatching = _defaultNotifier.disableErrorCatching;
+export const disableLogging = _defaultNotifier.disableLogging;
+export const disableTestMode = _defaultNotifier.disableTestMode;
+export const enableErrorCatching = _defaultNotifier.enableErrorCatching;
+export const enableLogging = _defaultNotifier.enableLogging;
+export const enableTestMode = _defaultNotifier.enableTestMode;
+export const getBreadcrumbs = _defaultNotifier.getBreadcrumbs;
+export const getConfig = _defaultNotifier.getConfig;
+export const getIsEnabled = _defaultNotifier.getIsEnabled;
+export const getIsLoggingEnabled = _defaultNotifier.getIsLoggingEnabled;
+export const getMode = _defaultNotifier.getMode;
+export const getStats = _defaultNotifier.getStats;
+export const initErrorCatchNotifier = _defaultNotifier.initErrorCatchNotifier;
+export const installGlobalHandlers = _defaultNotifier.installGlobalHandlers;
+export const makeErrorSubscriberFailback = _defaultNotifier.makeErrorSubscriberFailback;
+export const notifyErrorSubscribers = _defaultNotifier.notifyErrorSubscribers;
+export const resetStats = _defaultNotifier.resetStats;
+export const setMode = _defaultNotifier.setMode;
+export const subscribe = _defaultNotifier.subscribe;
+export const uninstallGlobalHandlers = _defaultNotifier.uninstallGlobalHandlers;
+export const wrap = _defaultNotifier.wrap;
+export const wrapCallback = _defaultNotifier.wrapCallback;
+export const wrapClass = _defaultNotifier.wrapClass;
+export const wrapEmitter = _defaultNotifier.wrapEmitter;
+export const wrapObject = _defaultNotifier.wrapObject;
@@ -0,0 +1,226 @@
+import { createErrorReport, serializeReport } from './report';
+import { getDefaultProcess, isFunction, startTimer } from './utils';
+
+/**
+ * Settings of a file transport
+ * @typedef {object} FileTransportOptions
+ * @property {string} path - file reports are appended to, one JSON line each
+ * @property {number} [maxSize] - bytes; the file is rotated before a write would make it larger
+ * @property {string} [interval] - 'day' or 'hour'; the file is rotated on the first write of a new day or hour
+ * @property {number} [maxFiles=5] - rotated files kept; older files are deleted
+ * @property {number} [flushInterval=1000] - milliseconds reports are buffered before they are written
+ * @property {object} [process] - process whose exit event writes buffered reports; defaults to the Node process
+ */
+
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_FLUSH_INTERVAL = 1000;
+
+/**
+ * Gets the day or hour a time falls in
+ * @param {string} [interval] - 'day' or 'hour'
+ * @param {Date} date
+ * @return {string|null} local date (and hour); null when there is no interval
+ */
+export function getRotationPeriod(interval, date) {
+    if (interval !== 'day' && interval !== 'hour') {
+        return null;
+    }
+
+    const day = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+    return interval === 'hour' ? `${day}T${date.getHours()}` : day;
+}
+
+/**
+ * Renames path to path.1, path.1 to path.2 and so on, deleting files past maxFiles
+ * @param {string} path
+ * @param {number} maxFiles
+ */
+export function rotateFiles(path, maxFiles) {
+    const fs = require('fs'); // eslint-disable-line global-require
+
+    if (maxFiles < 1) {
+        fs.unlinkSync(path);
+
+        return;
+    }
+
+    if (fs.existsSync(`${path}.${maxFiles}`)) {
+        fs.unlinkSync(`${path}.${maxFiles}`);
+    }
+
+    for (let i = maxFiles - 1; i >= 1; i -= 1) {
+        if (fs.existsSync(`${path}.${i}`)) {
+            fs.renameSync(`${path}.${i}`, `${path}.${i + 1}`);
+        }
+    }
+
+    fs.renameSync(path, `${path}.1`);
+}
+
+/**
+ * Creates an error subscriber that appends reports to a file as newline delimited JSON (Node only)
+ * Reports are buffered and written asynchronously; buffered reports are written synchronously when the process exits.
+ * The subscriber has flush and dispose functions; flush writes every buffered report and
+ * returns a promise that resolves when the write finishes.
+ * The failback of the most recent report is called with each write's error or result.
+ * @param {FileTransportOptions} transportOptions
+ * @return {ErrorSubscriber} transport subscriber
+ */
+export function createFileTransport({
+    path,
+    maxSize,
+    interval,
+    maxFiles = DEFAULT_MAX_FILES,
+    flushInterval = DEFAULT_FLUSH_INTERVAL,
+    process: targetProcess = getDefaultProcess()
+}) {
+    const fs = require('fs'); // eslint-disable-line global-require
+    let buffer = [];
+    let flushTimer = null;
+    let lastFailback = null;
+    let writing = Promise.resolve();
+    let fileSize = 0;
+    let filePeriod = null;
+
+    try {
+        const stats = fs.statSync(path);
+
+        fileSize = stats.size;
+        filePeriod = getRotationPeriod(interval, stats.mtime);
+    } catch (error) {
+        // the file is created by the first write
+    }
+
+    /**
+     * Rotates the file if writing a number of bytes now would pass maxSize or start a new period
+     * Rotation failures are passed to the failback; the reports are still written to the current file
+     * @param {number} byteCount
+     * @param {function} [failback]
+     */
+    function rotateIfNeeded(byteCount, failback) {
+        const period = getRotationPeriod(interval, new Date());
+        const isFull = maxSize > 0 && fileSize + byteCount > maxSize;
+        const isNewPeriod = period !== null && filePeriod !== null && period !== filePeriod;
+
+        filePeriod = period;
+
+        if (fileSize === 0 || (!isFull && !isNewPeriod)) {
+            return;
+        }
+
+        try {
+            rotateFiles(path, maxFiles);
+            fileSize = 0;
+        } catch (error) {
+            if (failback) {
+                failback(error);
+            }
+        }
+    }
+
+    function takeBuffer() {
+        const lines = buffer;
+        const failback = lastFailback;
+        const data = lines.join('');
+
+        buffer = [];
+        rotateIfNeeded(Buffer.byteLength(data), failback);
+
+        return { data, failback, reportCount: lines.length };
+    }
+
+    function writeBuffer() {
+        if (buffer.length === 0) {
+            return Promise.resolve();
+        }
+
+        const { data, failback, reportCount } = takeBuffer();
+
+        return new Promise(function appendExecutor(resolve) {
+            fs.appendFile(path, data, 'utf8', function handleAppend(error) {
+                if (!error) {
+                    fileSize += Buffer.byteLength(data);
+                }
+
+                if (failback) {
+                    if (error) {
+                        failback(error);
+                    } else {
+                        failback(undefined, { path, reportCount });
+                    }
+                }
+
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Writes every buffered report
+     * @return {Promise} resolves when the write has finished; never rejects
+     */
+    function flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        // writes are chained so lines are appended in order
+        writing = writing.then(writeBuffer);
+
+        return writing;
+    }
+
+    /**
+     * Writes buffered reports synchronously; async writes don't finish once the process is exiting
+     */
+    function flushSync() {
+        if (buffer.length === 0) {
+            return;
+        }
+
+        const { data, failback } = takeBuffer();
+
+        try {
+            fs.appendFileSync(path, data, 'utf8');
+            fileSize += Buffer.byteLength(data);
+        } catch (error) {
+            if (failback) {
+                failback(error);
+            }
+        }
+    }
+
+    function fileTransport(error, options, failback, breadcrumbs, report) {
+        buffer.push(`${serializeReport(report || createErrorReport(error, { options, breadcrumbs }))}\n`);
+        lastFailback = failback;
+
+        if (!flushTimer) {
+            flushTimer = startTimer(flush, flushInterval);
+        }
+    }
+
+    /**
+     * Stops the flush timer and the exit listener; buffered reports are not written
+     */
+    function dispose() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        if (targetProcess && isFunction(targetProcess.removeListener)) {
+            targetProcess.removeListener('exit', flushSync);
+        }
+    }
+
+    if (targetProcess && isFunction(targetProcess.on)) {
+        targetProcess.on('exit', flushSync);
+    }
+
+    fileTransport.flush = flush;
+    fileTransport.dispose = dispose;
+
+    return fileTransport;
+}
@@ -0,0 +1,84 @@
+/**
+ * Number of stack frames used to fingerprint an error
+ * @member {number}
+ */
+const FINGERPRINT_STACK_FRAMES = 3;
+
+/**
+ * Returns the first stack frames of an error
+ * Matches V8 ("    at fn (file:1:2)") and SpiderMonkey / JavaScriptCore ("fn@file:1:2") frames
+ * @param {error} error
+ * @param {number} [count=FINGERPRINT_STACK_FRAMES] - number of frames to return
+ * @return {string[]} trimmed frame lines
+ */
+export function getTopStackFrames(error, count = FINGERPRINT_STACK_FRAMES) {
+    if (!error || typeof error.stack !== 'string') {
+        return [];
+    }
+
+    return error.stack.split('\n')
+        .map(function trimFrame(line) {
+            return line.trim();
+        })
+        .filter(function isFrame(line) {
+            return /^at\s/.test(line) || line.indexOf('@') !== -1;
+        })
+        .slice(0, count);
+}
+
+/**
+ * Returns the primitive properties of wrap options as sorted key=value pairs
+ * Functions, objects and arrays (fallbacks, retry errors, etc.) are left out
+ * @param {object} [options]
+ * @return {string[]}
+ */
+function getOptionPairs(options) {
+    if (!options || typeof options !== 'object') {
+        return [];
+    }
+
+    return Object.keys(options)
+        .filter(function isPrimitiveOption(key) {
+            const value = options[key];
+
+            return value === null || ['string', 'number', 'boolean'].indexOf(typeof value) !== -1;
+        })
+        .sort()
+        .map(function formatOption(key) {
+            return `${key}=${options[key]}`;
+        });
+}
+
+/**
+ * Returns a short, stable hash of a string (djb2)
+ * @param {string} value
+ * @return {string} hexadecimal hash
+ */
+export function hashString(value) {
+    let hash = 5381;
+
+    for (let i = 0; i < value.length; i += 1) {
+        hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0; // eslint-disable-line no-bitwise
+    }
+
+    return (hash >>> 0).toString(16); // eslint-disable-line no-bitwise
+}
+
+/**
+ * Computes a fingerprint identifying repeats of the same error
+ * Built from the error name, message, top stack frames and primitive wrap options
+ * @param {error} error - any thrown value
+ * @param {object} [options] - options passed to notifyErrorSubscribers
+ * @return {string} fingerprint
+ */
+export function getErrorFingerprint(error, options) {
+    const isObject = !!error && typeof error === 'object';
+    const parts = [
+        isObject ? String(error.name) : typeof error,
+        isObject ? String(error.message) : String(error)
+    ]
+        .concat(getTopStackFrames(error))
+        .concat(getOptionPairs(options));
+
+    return hashString(parts.join('\n'));
+}
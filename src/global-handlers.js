@@ -0,0 +1,155 @@
+import { getDefaultProcess, getDefaultWindow, isFunction } from './utils';
+
+/**
+ * Objects global handlers are installed on; defaults to the globals of the current environment
+ * @typedef {object} GlobalHandlerTargets
+ * @property {object} [process] - Node process (or any EventEmitter)
+ * @property {object} [window] - browser window (or any object with onerror and addEventListener)
+ * @property {bool} [exitOnUncaughtException=true] - exits the process with code 1 once subscribers have settled;
+ * Node leaves the process in an undefined state after an uncaught exception
+ */
+
+/**
+ * Creates install / uninstall functions for uncaught exception and unhandled rejection handlers
+ * @param {function} notify - notifyErrorSubscribers of the notifier
+ * @param {function} isEnabled - returns the notifier's _isEnabled
+ * @param {function} [consumeRethrownError] - consumeRethrownError of the notifier; errors wrap reported and rethrew
+ * are not reported again
+ * @return {object} handlers with install, uninstall, isInstalled and update functions
+ */
+export function createGlobalHandlers(notify, isEnabled, consumeRethrownError = () => false) {
+    let _installed = null;
+
+    function report(error, options) {
+        return consumeRethrownError(error) ? undefined : notify(error, options);
+    }
+
+    /**
+     * Attaches the process listeners while error catching is enabled and detaches them while it is not,
+     * so Node handles uncaught exceptions and unhandled rejections itself, exit code and output included.
+     * Called whenever error catching is turned on or off
+     */
+    function update() {
+        const installed = _installed;
+
+        if (!installed || !installed.process || installed.isListening === isEnabled()) {
+            return;
+        }
+
+        const method = isEnabled() ? 'on' : 'removeListener';
+
+        installed.isListening = isEnabled();
+        installed.process[method]('uncaughtException', installed.uncaughtException);
+        installed.process[method]('unhandledRejection', installed.unhandledRejection);
+    }
+
+    function install({
+        process: targetProcess = getDefaultProcess(),
+        window: targetWindow = getDefaultWindow(),
+        exitOnUncaughtException = true
+    } = {}) {
+        if (_installed) {
+            return false;
+        }
+
+        const installed = { process: targetProcess, window: targetWindow, isListening: false };
+
+        if (targetProcess) {
+            // Node exits on an uncaught exception or unhandled rejection only when nothing listens for it,
+            // so these are only attached while catching is enabled; see update
+            installed.uncaughtException = function errorCatchNotifierUncaughtException(error) {
+                const delivered = report(error, { source: 'uncaughtException' });
+
+                if (exitOnUncaughtException && isFunction(targetProcess.exit)) {
+                    const exit = () => targetProcess.exit(1);
+
+                    Promise.resolve(delivered).then(exit, exit);
+                }
+            };
+
+            installed.unhandledRejection = function errorCatchNotifierUnhandledRejection(reason) {
+                report(reason, { source: 'unhandledRejection' });
+            };
+        }
+
+        if (targetWindow) {
+            const previousOnError = targetWindow.onerror;
+
+            installed.previousOnError = previousOnError;
+            installed.onerror = function errorCatchNotifierOnError(message, url, line, column, error) {
+                const previousResult = isFunction(previousOnError) ? previousOnError.apply(this, [message, url, line, column, error]) : undefined;
+
+                if (_installed !== installed || !isEnabled()) {
+                    return previousResult;
+                }
+
+                report(error || message, { source: 'onerror', url, line, column });
+
+                // returning true stops the browser from logging the error
+                return true;
+            };
+
+            installed.unhandledrejection = function errorCatchNotifierUnhandledRejectionEvent(event) {
+                if (!isEnabled()) {
+                    return;
+                }
+
+                report(event.reason, { source: 'unhandledrejection' });
+
+                if (isFunction(event.preventDefault)) {
+                    event.preventDefault();
+                }
+            };
+
+            targetWindow.onerror = installed.onerror; // eslint-disable-line no-param-reassign
+
+            if (isFunction(targetWindow.addEventListener)) {
+                targetWindow.addEventListener('unhandledrejection', installed.unhandledrejection);
+            }
+        }
+
+        _installed = installed;
+        update();
+
+        return true;
+    }
+
+    function uninstall() {
+        if (!_installed) {
+            return false;
+        }
+
+        const installed = _installed;
+        _installed = null;
+
+        if (installed.process) {
+            installed.process.removeListener('uncaughtException', installed.uncaughtException);
+            installed.process.removeListener('unhandledRejection', installed.unhandledRejection);
+        }
+
+        if (installed.window) {
+            // Another script may have chained its own onerror on top of ours; leave it in place.
+            // Ours stays in its chain but only calls the previous handler.
+            if (installed.window.onerror === installed.onerror) {
+                installed.window.onerror = installed.previousOnError;
+            }
+
+            if (isFunction(installed.window.removeEventListener)) {
+                installed.window.removeEventListener('unhandledrejection', installed.unhandledrejection);
+            }
+        }
+
+        return true;
+    }
+
+    function isInstalled() {
+        return !!_installed;
+    }
+
+    return {
+        install,
+        isInstalled,
+        uninstall,
+        update
+    };
+}
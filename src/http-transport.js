@@ -0,0 +1,280 @@
+import { createErrorReport, serializeReport } from './report';
+import { invokeWithRetry } from './retry';
+import { getDefaultWindow, isFunction, startTimer } from './utils';
+
+/**
+ * Settings of an HTTP transport
+ * @typedef {object} HttpTransportOptions
+ * @property {string} url - collector URL reports are POSTed to
+ * @property {number} [batchSize=10] - reports sent per request; reaching it sends a batch right away
+ * @property {number} [flushInterval=5000] - milliseconds queued reports wait before they are sent
+ * @property {object} [headers] - extra request headers
+ * @property {number} [maxQueueSize=1000] - oldest queued reports are dropped past this size
+ * @property {RetryPolicy} [retry] - retry settings for failed requests; by default network errors,
+ * 429 and 5xx responses are retried 3 times
+ * @property {function} [send] - sends a request; called with url, headers and body, returns a promise.
+ * Defaults to fetch, or XMLHttpRequest where fetch is missing
+ * @property {object} [window] - window whose pagehide event sends queued reports with navigator.sendBeacon;
+ * defaults to the browser window
+ */
+
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_FLUSH_INTERVAL = 5000;
+const DEFAULT_MAX_QUEUE_SIZE = 1000;
+
+/**
+ * Creates the error a request rejects with for a response outside 200-299
+ * @param {number} status
+ * @return {error}
+ */
+export function createStatusError(status) {
+    const error = new Error(`HTTP transport request failed with status ${status}`);
+    error.status = status;
+
+    return error;
+}
+
+/**
+ * Sends a POST request with fetch, or XMLHttpRequest where fetch is missing
+ * Node versions without fetch need the send option; see sendWithNode of error-catch-notifier/dist/node-request
+ * @param {object} request - url, headers and body
+ * @return {Promise} resolves with the response status
+ */
+export function sendRequest({ url, headers, body }) {
+    if (typeof fetch === 'function') {
+        return fetch(url, { method: 'POST', headers, body }).then(function handleFetchResponse(response) {
+            if (!response.ok) {
+                throw createStatusError(response.status);
+            }
+
+            return response.status;
+        });
+    }
+
+    if (typeof XMLHttpRequest !== 'function') {
+        return Promise.reject(new Error('HTTP transport needs fetch or XMLHttpRequest; pass sendWithNode as the send option'));
+    }
+
+    return new Promise(function sendWithXhrExecutor(resolve, reject) {
+        const xhr = new XMLHttpRequest();
+
+        xhr.open('POST', url);
+        Object.keys(headers).forEach(function setHeader(name) {
+            xhr.setRequestHeader(name, headers[name]);
+        });
+        xhr.onload = function handleXhrLoad() {
+            if (xhr.status < 200 || xhr.status > 299) {
+                reject(createStatusError(xhr.status));
+
+                return;
+            }
+
+            resolve(xhr.status);
+        };
+        xhr.onerror = function handleXhrError() {
+            reject(new Error('HTTP transport request failed'));
+        };
+        xhr.send(body);
+    });
+}
+
+function isPositiveInteger(value) {
+    return typeof value === 'number' && value > 0 && value % 1 === 0;
+}
+
+/**
+ * Throws for option values the queue can't work with, e.g. a batchSize of 0 would never empty the queue
+ * @param {HttpTransportOptions} options
+ */
+function validateTransportOptions({ batchSize, flushInterval, maxQueueSize }) {
+    if (!isPositiveInteger(batchSize)) {
+        throw new Error('HTTP transport batchSize must be a positive integer');
+    }
+
+    if (!Number.isFinite(flushInterval) || flushInterval < 0) {
+        throw new Error('HTTP transport flushInterval must be a non-negative number');
+    }
+
+    if (!isPositiveInteger(maxQueueSize)) {
+        throw new Error('HTTP transport maxQueueSize must be a positive integer');
+    }
+}
+
+/**
+ * Determines if a failed request should be retried
+ * Network errors, 429 and 5xx responses are retried; other responses won't succeed on retry
+ * @param {error} error
+ * @return {bool}
+ */
+export function isRetryableRequestError(error) {
+    return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Creates an error subscriber that batches reports and POSTs them to a collector as a JSON array
+ * The subscriber has flush and dispose functions; flush sends every queued report and
+ * returns a promise that resolves when the requests finish.
+ * The subscriber returns a promise that resolves once the batch holding the report has been sent, so delivery
+ * (and the exit after an uncaught exception) waits for the request. Reports of uncaught exceptions are sent right away.
+ * The failback of the most recent report is called with each request's error or status.
+ * Throws when batchSize or maxQueueSize is not a positive integer, or flushInterval is not a non-negative number.
+ * @param {HttpTransportOptions} transportOptions
+ * @return {ErrorSubscriber} transport subscriber
+ */
+export function createHttpTransport({
+    url,
+    batchSize = DEFAULT_BATCH_SIZE,
+    flushInterval = DEFAULT_FLUSH_INTERVAL,
+    headers = {},
+    maxQueueSize = DEFAULT_MAX_QUEUE_SIZE,
+    retry,
+    send = sendRequest,
+    window: targetWindow = getDefaultWindow()
+}) {
+    validateTransportOptions({ batchSize, flushInterval, maxQueueSize });
+
+    const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+    const retryPolicy = { retryIf: isRetryableRequestError, ...retry };
+    // queued reports with the function that resolves the promise their subscriber call returned
+    let queue = [];
+    let flushTimer = null;
+    let lastFailback = null;
+
+    function settleEntries(entries) {
+        entries.forEach(entry => entry.settle());
+    }
+
+    function toBody(entries) {
+        return `[${entries.map(entry => entry.serializedReport).join(',')}]`;
+    }
+
+    function sendBatch(entries) {
+        const body = toBody(entries);
+        const failback = lastFailback;
+
+        return new Promise(function sendBatchExecutor(resolve) {
+            resolve(invokeWithRetry(function sendBatchRequest() {
+                return send({ url, headers: requestHeaders, body });
+            }, retryPolicy, []));
+        })
+            .then(function handleSendSuccess(status) {
+                settleEntries(entries);
+
+                if (failback) {
+                    failback(undefined, { status, reportCount: entries.length });
+                }
+            }, function handleSendFailure(error) {
+                settleEntries(entries);
+
+                if (failback) {
+                    failback(error);
+                }
+            });
+    }
+
+    /**
+     * Sends every queued report
+     * @return {Promise} resolves when the requests have finished; never rejects
+     */
+    function flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        const batches = [];
+
+        while (queue.length > 0) {
+            batches.push(queue.slice(0, batchSize));
+            queue = queue.slice(batchSize);
+        }
+
+        return Promise.all(batches.map(sendBatch)).then(function flushComplete() {
+            return undefined;
+        });
+    }
+
+    /**
+     * Sends queued reports with navigator.sendBeacon, which survives the page unloading
+     * Each batch is sent as an application/json Blob. Beacons can't set headers, so headers are not sent.
+     * Batches the browser refuses (e.g. over its size limit) are sent with flush instead.
+     */
+    function flushWithBeacon() {
+        const navigator = targetWindow && targetWindow.navigator;
+
+        if (queue.length === 0 || !navigator || !isFunction(navigator.sendBeacon)) {
+            flush();
+
+            return;
+        }
+
+        const entries = queue;
+        const refusedReports = [];
+        queue = [];
+
+        for (let i = 0; i < entries.length; i += batchSize) {
+            const batch = entries.slice(i, i + batchSize);
+            const body = toBody(batch);
+            const data = isFunction(targetWindow.Blob) ? new targetWindow.Blob([body], { type: 'application/json' }) : body;
+
+            if (navigator.sendBeacon(url, data)) {
+                settleEntries(batch);
+            } else {
+                refusedReports.push(...batch);
+            }
+        }
+
+        if (refusedReports.length > 0) {
+            queue = refusedReports.concat(queue);
+            flush();
+        }
+    }
+
+    function httpTransport(error, options, failback, breadcrumbs, report) {
+        const serializedReport = serializeReport(report || createErrorReport(error, { options, breadcrumbs }));
+        const sent = new Promise(function queueReportExecutor(resolve) {
+            queue.push({ serializedReport, settle: resolve });
+        });
+        lastFailback = failback;
+
+        if (queue.length > maxQueueSize) {
+            settleEntries(queue.slice(0, queue.length - maxQueueSize));
+            queue = queue.slice(queue.length - maxQueueSize);
+        }
+
+        // the process exits once an uncaught exception is delivered; waiting for the timer would only delay it
+        if (queue.length >= batchSize || (options && options.source === 'uncaughtException')) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = startTimer(flush, flushInterval);
+        }
+
+        return sent;
+    }
+
+    /**
+     * Stops the flush timer and the pagehide listener; queued reports are not sent,
+     * but the promises their subscriber calls returned resolve
+     */
+    function dispose() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        settleEntries(queue);
+
+        if (targetWindow && isFunction(targetWindow.removeEventListener)) {
+            targetWindow.removeEventListener('pagehide', flushWithBeacon);
+        }
+    }
+
+    if (targetWindow && isFunction(targetWindow.addEventListener)) {
+        targetWindow.addEventListener('pagehide', flushWithBeacon);
+    }
+
+    httpTransport.flush = flush;
+    httpTransport.dispose = dispose;
+
+    return httpTransport;
+}
@@ -1,9 +1,44 @@
 export {
+    addBreadcrumb,
+    clearBreadcrumbs,
+    configure,
+    configureBreadcrumbs,
+    configureRedaction,
+    configureSourceMaps,
+    configureStats,
+    configureThrottle,
+    consumeRethrownError,
+    createErrorCatchNotifier,
     disableErrorCatching,
     disableLogging,
+    disableTestMode,
     enableErrorCatching,
     enableLogging,
+    enableTestMode,
+    getBreadcrumbs,
+    getConfig,
+    getMode,
+    getStats,
     initErrorCatchNotifier,
+    installGlobalHandlers,
     notifyErrorSubscribers,
-    wrap
+    resetStats,
+    setMode,
+    subscribe,
+    uninstallGlobalHandlers,
+    wrap,
+    wrapCallback,
+    wrapClass,
+    wrapEmitter,
+    wrapObject
 } from './error-catch-notifier';
+
+export {
+    safeStringify,
+    serializeReport
+} from './report';
+
+export { parseStack } from './stack-trace';
+
+export { createExpressErrorHandler, createKoaMiddleware, wrapExpressHandler } from './middleware';
+export { createErrorRecorder } from './recorder';
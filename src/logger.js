@@ -0,0 +1,134 @@
+import { isFunction } from './utils';
+
+/**
+ * Receives the notifier's own diagnostics
+ * Each method is called with a LogEntry; missing methods are skipped
+ * @typedef {object} Logger
+ * @property {function} [debug]
+ * @property {function} [info]
+ * @property {function} [warn]
+ * @property {function} [error]
+ */
+
+/**
+ * Logging settings
+ * @typedef {object} LoggingOptions
+ * @property {Logger} [logger=consoleLogger]
+ * @property {string} [level='debug'] - entries below this level are dropped; one of LOG_LEVELS
+ */
+
+/**
+ * A diagnostic message of the notifier
+ * @typedef {object} LogEntry
+ * @property {string} level - one of LOG_LEVELS
+ * @property {string} code - identifies the kind of message, e.g. 'SUBSCRIBER_NOT_FUNCTION'
+ * @property {string} message - human readable summary
+ * @property {*} [detail] - reason, error or value the message is about
+ * @property {object} data - structured fields such as subscriberName; empty when there are none
+ * @property {string} timestamp - ISO 8601 time the entry was created
+ */
+
+/**
+ * Log levels, least severe first
+ * @member {string[]}
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Console methods entries are written with, by level
+ * @member {object}
+ */
+const CONSOLE_METHODS = {
+    debug: 'log',
+    info: 'log',
+    warn: 'warn',
+    error: 'error'
+};
+
+/**
+ * Logs the message of an entry, then its detail, to the console
+ * @param {LogEntry} entry
+ */
+function logToConsole(entry) {
+    const method = CONSOLE_METHODS[entry.level];
+
+    console[method](entry.message);
+
+    if (entry.hasOwnProperty('detail')) {
+        console[method](entry.detail);
+    }
+}
+
+/**
+ * Default logger; writes to the console
+ * @member {Logger}
+ */
+export const consoleLogger = {
+    debug: logToConsole,
+    info: logToConsole,
+    warn: logToConsole,
+    error: logToConsole
+};
+
+/**
+ * Creates the logger of a notifier
+ * @return {object} logger with configure, getOptions and log functions
+ */
+export function createLogger() {
+    let logger = consoleLogger;
+    let minLevel = 'debug';
+
+    /**
+     * Replaces the logger and minimum level; unknown levels throw
+     * @param {LoggingOptions} [loggingOptions={}]
+     */
+    function configure({ logger: nextLogger = consoleLogger, level = 'debug' } = {}) {
+        if (LOG_LEVELS.indexOf(level) === -1) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+
+        logger = nextLogger;
+        minLevel = level;
+    }
+
+    /**
+     * Gets the current settings
+     * @return {LoggingOptions}
+     */
+    function getOptions() {
+        return { logger, level: minLevel };
+    }
+
+    /**
+     * Passes an entry to the logger if its level is at least the minimum level
+     * Loggers that throw are ignored, so diagnostics never break error handling
+     * @param {string} level - one of LOG_LEVELS
+     * @param {string} code
+     * @param {string} message
+     * @param {object} [data={}] - structured fields; detail is moved onto the entry
+     */
+    function log(level, code, message, data = {}) {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLevel) || !logger || !isFunction(logger[level])) {
+            return;
+        }
+
+        const { detail, ...fields } = data;
+        const entry = { level, code, message, data: fields, timestamp: new Date().toISOString() };
+
+        if (data.hasOwnProperty('detail')) {
+            entry.detail = detail;
+        }
+
+        try {
+            logger[level](entry);
+        } catch (error) {
+            // a broken logger must not stop errors from reaching subscribers
+        }
+    }
+
+    return {
+        configure,
+        getOptions,
+        log
+    };
+}
@@ -0,0 +1,238 @@
+import { consumeRethrownError, getIsEnabled, notifyErrorSubscribers } from './error-catch-notifier';
+import { isThenable } from './utils';
+
+/**
+ * Settings of Express / Connect and Koa middleware
+ * Properties other than these are passed to notifyErrorSubscribers
+ * @typedef {object} MiddlewareOptions
+ * @property {string[]} [headers=[]] - names of request headers added to the request context
+ * @property {string} [requestIdHeader='x-request-id'] - header the request id is read from
+ * @property {function} [errorResponse] - called with the error and the request context;
+ * returns the status and body of the response sent after an error is reported
+ * @property {object} [notifier] - notifier errors are reported to; defaults to the top level exports
+ */
+
+/**
+ * Request details subscribers receive as options.request
+ * @typedef {object} RequestContext
+ * @property {string} method
+ * @property {string} path - URL path without the query string
+ * @property {string} [requestId]
+ * @property {object} headers - selected headers, keyed by lower case name
+ */
+
+/**
+ * Notifier used by middleware without a notifier option
+ * @member {object}
+ */
+const _defaultNotifier = { consumeRethrownError, getIsEnabled, notifyErrorSubscribers };
+
+/**
+ * Errors middleware reported, with the notifier they were reported to, keyed by request (or Koa context)
+ * Errors forwarded with next(error) reach the error handler as well; they are reported once per request and notifier
+ * @member {WeakMap}
+ */
+const _reportedErrors = new WeakMap();
+
+/**
+ * Gets the request context of a Node / Express / Connect request or a Koa context
+ * @param {object} request - anything with method, url (or originalUrl) and headers
+ * @param {MiddlewareOptions} [middlewareOptions={}]
+ * @return {RequestContext}
+ */
+export function getRequestContext(request, { headers = [], requestIdHeader = 'x-request-id' } = {}) {
+    const requestHeaders = request.headers || {};
+
+    return {
+        method: request.method,
+        path: (request.originalUrl || request.url || '').split('?')[0],
+        requestId: requestHeaders[requestIdHeader.toLowerCase()],
+        headers: headers.reduce(function addHeader(selectedHeaders, name) {
+            const key = name.toLowerCase();
+
+            if (requestHeaders.hasOwnProperty(key)) {
+                selectedHeaders[key] = requestHeaders[key]; // eslint-disable-line no-param-reassign
+            }
+
+            return selectedHeaders;
+        }, {})
+    };
+}
+
+/**
+ * Gets the response sent after an error is reported
+ * Client errors (status 400-499) expose their message; anything else is a 500 Internal Server Error
+ * @param {error} error
+ * @return {object} status and body
+ */
+export function getDefaultErrorResponse(error) {
+    const status = error && (error.status || error.statusCode);
+
+    if (status >= 400 && status < 500) {
+        return { status, body: { error: error.message } };
+    }
+
+    return { status: 500, body: { error: 'Internal Server Error' } };
+}
+
+/**
+ * Splits middleware settings from the options passed to notifyErrorSubscribers
+ * @param {MiddlewareOptions} middlewareOptions
+ * @param {string} source - options.source subscribers receive
+ * @return {object} report function and errorResponse
+ */
+function createReporter(middlewareOptions, source) {
+    const {
+        headers,
+        requestIdHeader,
+        errorResponse = getDefaultErrorResponse,
+        notifier = _defaultNotifier,
+        ...notifyOptions
+    } = middlewareOptions;
+
+    /**
+     * Reports an error once per request, unless a wrapped function already reported and rethrew it
+     * @param {error} error
+     * @param {object} request
+     * @return {RequestContext}
+     */
+    function report(error, request) {
+        const requestContext = getRequestContext(request, { headers, requestIdHeader });
+        const reported = _reportedErrors.get(request) || [];
+        const isReported = reported.some(function isSameReport(entry) {
+            return entry.error === error && entry.notifier === notifier;
+        });
+
+        if (!isReported) {
+            _reportedErrors.set(request, reported.concat({ error, notifier }));
+
+            if (!notifier.consumeRethrownError(error)) {
+                notifier.notifyErrorSubscribers(error, { ...notifyOptions, source, request: requestContext });
+            }
+        }
+
+        return requestContext;
+    }
+
+    return {
+        errorResponse,
+        isEnabled: notifier.getIsEnabled,
+        report
+    };
+}
+
+/**
+ * Creates the function Express / Connect middleware use to report an error and respond
+ * @param {MiddlewareOptions} middlewareOptions
+ * @return {function} called with error, request, response and next
+ */
+function createExpressErrorHandling(middlewareOptions) {
+    const reporter = createReporter(middlewareOptions, 'express');
+
+    return function handleExpressError(error, request, response, next) {
+        if (!reporter.isEnabled()) {
+            next(error);
+
+            return;
+        }
+
+        const requestContext = reporter.report(error, request);
+
+        if (response.headersSent) {
+            // the response can't be replaced; Express closes the connection
+            next(error);
+
+            return;
+        }
+
+        const { status, body } = reporter.errorResponse(error, requestContext);
+
+        response.statusCode = status; // eslint-disable-line no-param-reassign
+        response.setHeader('Content-Type', 'application/json');
+        response.end(JSON.stringify(body));
+    };
+}
+
+/**
+ * Wraps an Express / Connect route handler or middleware
+ * Errors it throws, rejects with or passes to next are reported with the request context,
+ * then answered with the error response. While error catching is disabled they are passed to next.
+ * @param {function} handler - called with request, response and next
+ * @param {MiddlewareOptions} [middlewareOptions={}]
+ * @return {function} middleware
+ */
+export function wrapExpressHandler(handler, middlewareOptions = {}) {
+    const handleError = createExpressErrorHandling(middlewareOptions);
+
+    return function errorCatchNotifierHandler(request, response, next) {
+        function nextWithErrorCatching(error) {
+            if (error && error !== 'route' && error !== 'router') {
+                handleError(error, request, response, next);
+
+                return;
+            }
+
+            next(error);
+        }
+
+        let value;
+
+        try {
+            value = handler.call(this, request, response, nextWithErrorCatching);
+        } catch (error) {
+            handleError(error, request, response, next);
+
+            return undefined;
+        }
+
+        if (isThenable(value)) {
+            value.then(undefined, function handlerRejection(error) {
+                handleError(error, request, response, next);
+            });
+        }
+
+        return value;
+    };
+}
+
+/**
+ * Creates Express / Connect error handling middleware; use it after every other middleware
+ * Errors are reported with the request context, then answered with the error response.
+ * While error catching is disabled they are passed to next.
+ * @param {MiddlewareOptions} [middlewareOptions={}]
+ * @return {function} error handling middleware
+ */
+export function createExpressErrorHandler(middlewareOptions = {}) {
+    const handleError = createExpressErrorHandling(middlewareOptions);
+
+    // Express recognizes error handlers by their four parameters
+    return function errorCatchNotifierErrorHandler(error, request, response, next) {
+        handleError(error, request, response, next);
+    };
+}
+
+/**
+ * Creates Koa middleware; use it before every other middleware
+ * Errors thrown by later middleware are reported with the request context, then answered with the error response.
+ * While error catching is disabled they are rethrown.
+ * @param {MiddlewareOptions} [middlewareOptions={}]
+ * @return {function} middleware
+ */
+export function createKoaMiddleware(middlewareOptions = {}) {
+    const reporter = createReporter(middlewareOptions, 'koa');
+
+    return function errorCatchNotifierKoa(ctx, next) {
+        return Promise.resolve()
+            .then(next)
+            .then(undefined, function handleKoaError(error) {
+                if (!reporter.isEnabled()) {
+                    throw error;
+                }
+
+                const { status, body } = reporter.errorResponse(error, reporter.report(error, ctx));
+
+                ctx.status = status; // eslint-disable-line no-param-reassign
+                ctx.body = body; // eslint-disable-line no-param-reassign
+            });
+    };
+}
@@ -0,0 +1,41 @@
+import http from 'http';
+import https from 'https';
+import url from 'url';
+import { createStatusError } from './http-transport';
+
+/**
+ * Sends a POST request with Node's http or https module
+ * Pass it as the send option of createHttpTransport in Node versions without fetch.
+ * It has its own entry point, so browser bundles of the HTTP transport don't pull in http, https and url.
+ * @param {object} request - url, headers and body
+ * @return {Promise} resolves with the response status
+ */
+export function sendWithNode({ url: requestUrl, headers, body }) {
+    const parsedUrl = url.parse(requestUrl);
+    const client = parsedUrl.protocol === 'https:' ? https : http;
+
+    return new Promise(function sendWithNodeExecutor(resolve, reject) {
+        const request = client.request({
+            protocol: parsedUrl.protocol,
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port,
+            path: parsedUrl.path,
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+        }, function handleResponse(response) {
+            response.resume();
+            response.on('end', function handleResponseEnd() {
+                if (response.statusCode < 200 || response.statusCode > 299) {
+                    reject(createStatusError(response.statusCode));
+
+                    return;
+                }
+
+                resolve(response.statusCode);
+            });
+        });
+
+        request.on('error', reject);
+        request.end(body);
+    });
+}
@@ -0,0 +1,120 @@
+import React from 'react';
+import { consumeRethrownError, getIsEnabled, notifyErrorSubscribers } from './error-catch-notifier';
+
+/**
+ * Props of an ErrorCatchBoundary
+ * @typedef {object} ErrorCatchBoundaryProps
+ * @property {*|function} [fallback=null] - rendered in place of the children after an error is caught.
+ * Functions are called with error, componentStack and reset, and their return value is rendered.
+ * @property {object} [options] - passed to notifyErrorSubscribers with source 'componentDidCatch' and componentStack added
+ * @property {array} [resetKeys] - the boundary resets when any of these values change
+ * @property {function} [onReset] - called when the boundary resets
+ * @property {object} [notifier] - notifier errors are reported to; defaults to the top level exports
+ */
+
+/**
+ * Notifier used by boundaries without a notifier prop
+ * @member {object}
+ */
+const _defaultNotifier = { consumeRethrownError, getIsEnabled, notifyErrorSubscribers };
+
+/**
+ * Determines if two resetKeys arrays have different values
+ * @param {array} [previousKeys=[]]
+ * @param {array} [keys=[]]
+ * @return {bool}
+ */
+function haveResetKeysChanged(previousKeys = [], keys = []) {
+    return previousKeys.length !== keys.length || keys.some(function hasKeyChanged(key, index) {
+        return key !== previousKeys[index];
+    });
+}
+
+/**
+ * React error boundary that passes render, lifecycle and constructor errors of its children to subscribers
+ * While error catching is disabled, errors are rethrown to the next boundary up the tree.
+ */
+export class ErrorCatchBoundary extends React.Component {
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    constructor(props) {
+        super(props);
+
+        this.state = { error: null, componentStack: null };
+        this.reset = this.reset.bind(this);
+    }
+
+    componentDidCatch(error, info) {
+        const notifier = this.getNotifier();
+        const componentStack = info && info.componentStack;
+
+        this.setState({ componentStack });
+
+        // errors a wrapped function reported and rethrew while rendering are not reported again
+        if (notifier.getIsEnabled() && !notifier.consumeRethrownError(error)) {
+            notifier.notifyErrorSubscribers(error, { ...this.props.options, source: 'componentDidCatch', componentStack });
+        }
+    }
+
+    componentDidUpdate(previousProps) {
+        if (this.state.error !== null && haveResetKeysChanged(previousProps.resetKeys, this.props.resetKeys)) {
+            this.reset();
+        }
+    }
+
+    getNotifier() {
+        return this.props.notifier || _defaultNotifier;
+    }
+
+    /**
+     * Clears the caught error so the children render again
+     */
+    reset() {
+        if (this.props.onReset) {
+            this.props.onReset();
+        }
+
+        this.setState({ error: null, componentStack: null });
+    }
+
+    render() {
+        const { error, componentStack } = this.state;
+        const { fallback = null } = this.props;
+
+        if (error === null) {
+            return this.props.children === undefined ? null : this.props.children;
+        }
+
+        if (!this.getNotifier().getIsEnabled()) {
+            throw error;
+        }
+
+        return typeof fallback === 'function' ? fallback({ error, componentStack, reset: this.reset }) : fallback;
+    }
+}
+
+/**
+ * Renders a component inside an ErrorCatchBoundary
+ * @param {function} Component - React component
+ * @param {object} [options={}] - fallback, resetKeys, onReset and notifier are given to the boundary;
+ * everything else is passed to notifyErrorSubscribers
+ * @return {function} component
+ */
+export function withErrorCatchNotifier(Component, options = {}) {
+    const { fallback, resetKeys, onReset, notifier, ...notifyOptions } = options;
+    const componentName = Component.displayName || Component.name || 'Component';
+
+    function ErrorCatchNotifierComponent(props) {
+        return React.createElement(
+            ErrorCatchBoundary,
+            { fallback, resetKeys, onReset, notifier, options: { ...notifyOptions, componentName } },
+            React.createElement(Component, props)
+        );
+    }
+
+    ErrorCatchNotifierComponent.displayName = `withErrorCatchNotifier(${componentName})`;
+
+    return ErrorCatchNotifierComponent;
+}
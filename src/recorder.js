@@ -0,0 +1,126 @@
+import { isError, safeStringify } from './report';
+import { isFunction } from './utils';
+
+/**
+ * Error captured by a recorder
+ * @typedef {object} CapturedError
+ * @property {*} error - reported error
+ * @property {object} [options] - options it was reported with
+ * @property {ErrorReport} report
+ */
+
+/**
+ * Determines if a value matches an expected value of an object matcher
+ * RegExps test strings; other values are compared by their JSON
+ * @param {*} expected
+ * @param {*} actual
+ * @return {bool}
+ */
+function matchesValue(expected, actual) {
+    if (expected instanceof RegExp) {
+        return typeof actual === 'string' && expected.test(actual);
+    }
+
+    return expected === actual || safeStringify(expected) === safeStringify(actual);
+}
+
+/**
+ * Determines if a captured error matches a matcher
+ * @param {CapturedError} capturedError
+ * @param {*} matcher - an error (matched by identity), a string (contained in the message), a RegExp (tested against
+ * the message), a function (called with the captured error), or an object whose properties must match the report's
+ * @return {bool}
+ */
+export function matchesCapturedError(capturedError, matcher) {
+    const { error, report } = capturedError;
+
+    if (isError(matcher)) {
+        return error === matcher;
+    }
+
+    if (typeof matcher === 'string') {
+        return report.message.indexOf(matcher) !== -1;
+    }
+
+    if (matcher instanceof RegExp) {
+        return matcher.test(report.message);
+    }
+
+    if (isFunction(matcher)) {
+        return !!matcher(capturedError);
+    }
+
+    if (matcher && typeof matcher === 'object') {
+        return Object.keys(matcher).every(function matchesProperty(key) {
+            return matchesValue(matcher[key], report[key]);
+        });
+    }
+
+    return error === matcher;
+}
+
+/**
+ * Describes a matcher in an assertion message
+ * @param {*} matcher
+ * @return {string}
+ */
+function describeMatcher(matcher) {
+    if (isFunction(matcher)) {
+        return `[Function ${matcher.name || 'anonymous'}]`;
+    }
+
+    return matcher instanceof RegExp ? String(matcher) : safeStringify(matcher);
+}
+
+/**
+ * Creates an error subscriber that keeps every error it receives in memory, for tests
+ * The subscriber has getCapturedErrors, expectErrorReported and reset functions.
+ * @return {ErrorSubscriber} recorder
+ */
+export function createErrorRecorder() {
+    let capturedErrors = [];
+
+    function recordError(error, options, failback, breadcrumbs, report) {
+        capturedErrors.push({ error, options, report });
+    }
+
+    /**
+     * Gets the errors received since the recorder was created or reset, oldest first
+     * @return {CapturedError[]}
+     */
+    function getCapturedErrors() {
+        return capturedErrors.slice();
+    }
+
+    /**
+     * Throws unless an error matching the matcher was received
+     * @param {*} matcher - see matchesCapturedError
+     * @return {CapturedError} first matching error
+     */
+    function expectErrorReported(matcher) {
+        for (let i = 0; i < capturedErrors.length; i += 1) {
+            if (matchesCapturedError(capturedErrors[i], matcher)) {
+                return capturedErrors[i];
+            }
+        }
+
+        const reportedMessages = capturedErrors.map(capturedError => capturedError.report.message);
+        const assertionError = new Error(`Expected an error matching ${describeMatcher(matcher)} to be reported; reported errors: ${safeStringify(reportedMessages)}`);
+        assertionError.name = 'AssertionError';
+
+        throw assertionError;
+    }
+
+    /**
+     * Forgets every captured error
+     */
+    function reset() {
+        capturedErrors = [];
+    }
+
+    recordError.getCapturedErrors = getCapturedErrors;
+    recordError.expectErrorReported = expectErrorReported;
+    recordError.reset = reset;
+
+    return recordError;
+}
@@ -0,0 +1,161 @@
+import { isError } from './report';
+import { isFunction } from './utils';
+
+/**
+ * Redaction settings
+ * @typedef {object} RedactionOptions
+ * @property {Array<string|RegExp>} [patterns] - names of built-in patterns ('email', 'jwt', 'creditCard', 'bearerToken')
+ * or RegExps with the global flag; matches in strings are replaced. Defaults to every built-in pattern
+ * @property {Array<string|RegExp>} [denyKeys] - values of properties with these names are replaced at any depth;
+ * strings match names case insensitively. Defaults to DEFAULT_DENY_KEYS
+ * @property {function[]} [replacers] - called with each property name and value, like JSON.stringify replacers;
+ * their return value replaces the value. The top level value has an undefined key
+ * @property {string} [replacement='[REDACTED]'] - replaces matches and denied values
+ */
+
+/**
+ * Built-in patterns for values that should not leave the application
+ * Bearer tokens are matched before JWTs, so the whole authorization value is replaced.
+ * Email parts are capped at their maximum lengths, so long runs of word characters are scanned in linear time
+ * @member {object}
+ */
+export const REDACTION_PATTERNS = {
+    bearerToken: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi,
+    jwt: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+    email: /[A-Z0-9._%+-]{1,64}@[A-Z0-9.-]{1,253}\.[A-Z]{2,63}/gi,
+    creditCard: /\b(?:\d[ -]?){12,18}\d\b/g
+};
+
+/**
+ * Property names whose values are replaced by default
+ * @member {string[]}
+ */
+export const DEFAULT_DENY_KEYS = ['apiKey', 'authorization', 'cookie', 'password', 'secret', 'token'];
+
+/**
+ * Determines if a number passes the Luhn checksum credit card numbers use
+ * Keeps timestamps and other long numbers from being redacted as card numbers
+ * @param {string} digits - digits, spaces and dashes
+ * @return {bool}
+ */
+export function isLuhnValid(digits) {
+    const numbers = digits.replace(/[ -]/g, '');
+    let sum = 0;
+
+    for (let i = 0; i < numbers.length; i += 1) {
+        let digit = Number(numbers[numbers.length - 1 - i]);
+
+        if (i % 2 === 1) {
+            digit *= 2;
+            digit = digit > 9 ? digit - 9 : digit;
+        }
+
+        sum += digit;
+    }
+
+    return sum % 10 === 0;
+}
+
+/**
+ * Creates a redactor that copies values with sensitive data replaced
+ * @param {RedactionOptions} [redactionOptions={}]
+ * @return {object} redactor with redact and redactString functions
+ */
+export function createRedactor({
+    patterns = Object.keys(REDACTION_PATTERNS),
+    denyKeys = DEFAULT_DENY_KEYS,
+    replacers = [],
+    replacement = '[REDACTED]'
+} = {}) {
+    const expressions = patterns.map(function getExpression(pattern) {
+        if (pattern instanceof RegExp) {
+            return pattern;
+        }
+
+        if (!REDACTION_PATTERNS.hasOwnProperty(pattern)) {
+            throw new Error(`Unknown redaction pattern: ${pattern}`);
+        }
+
+        return REDACTION_PATTERNS[pattern];
+    });
+
+    function isDeniedKey(key) {
+        return typeof key === 'string' && denyKeys.some(function matchesDeniedKey(deniedKey) {
+            return deniedKey instanceof RegExp ? deniedKey.test(key) : deniedKey.toLowerCase() === key.toLowerCase();
+        });
+    }
+
+    /**
+     * Replaces every pattern match in a string
+     * @param {string} value
+     * @return {string}
+     */
+    function redactString(value) {
+        return expressions.reduce(function replacePattern(redacted, expression) {
+            return redacted.replace(expression, function replaceMatch(match) {
+                return expression === REDACTION_PATTERNS.creditCard && !isLuhnValid(match) ? match : replacement;
+            });
+        }, value);
+    }
+
+    function redactValue(value, key, ancestors) {
+        if (isDeniedKey(key)) {
+            return replacement;
+        }
+
+        const replaced = replacers.reduce(function applyReplacer(current, replacer) {
+            return replacer(key, current);
+        }, value);
+
+        if (typeof replaced === 'string') {
+            return redactString(replaced);
+        }
+
+        if (!replaced || typeof replaced !== 'object' || replaced instanceof Date || replaced instanceof RegExp) {
+            return replaced;
+        }
+
+        if (ancestors.indexOf(replaced) !== -1) {
+            return '[Circular]';
+        }
+
+        const nextAncestors = ancestors.concat([replaced]);
+
+        if (Array.isArray(replaced)) {
+            return replaced.map(function redactItem(item, index) {
+                return redactValue(item, String(index), nextAncestors);
+            });
+        }
+
+        // copies keep their prototype, so errors stay instances of their class
+        const copy = Object.create(Object.getPrototypeOf(replaced));
+        const keys = isError(replaced) ? Object.getOwnPropertyNames(replaced) : Object.keys(replaced);
+
+        keys.forEach(function redactProperty(propertyKey) {
+            const descriptor = Object.getOwnPropertyDescriptor(replaced, propertyKey);
+
+            if (descriptor.hasOwnProperty('value') && !isFunction(descriptor.value)) {
+                descriptor.value = redactValue(descriptor.value, propertyKey, nextAncestors);
+            }
+
+            Object.defineProperty(copy, propertyKey, descriptor);
+        });
+
+        return copy;
+    }
+
+    /**
+     * Copies a value with sensitive data replaced; the value itself is not changed
+     * Nested objects, arrays and errors are copied with their prototype; circular references become '[Circular]'
+     * @param {*} value
+     * @return {*} redacted copy
+     */
+    function redact(value) {
+        return redactValue(value, undefined, []);
+    }
+
+    return {
+        redact,
+        redactString
+    };
+}
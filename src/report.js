@@ -0,0 +1,256 @@
+import { getSeverity, getTags } from './routing';
+import { parseStack } from './stack-trace';
+import { isFunction } from './utils';
+
+/**
+ * Normalized description of a caught error, passed to subscribers as their fifth argument
+ * Every property is JSON safe once passed through serializeReport
+ * @typedef {object} ErrorReport
+ * @property {string} name - error name; for thrown values that are not errors, the type of the value
+ * @property {string} message - error message; for thrown values that are not errors, the value as a string
+ * @property {string} [stack] - raw stack trace, when the thrown value has one
+ * @property {StackFrame[]} frames - parsed stack trace, innermost first; frames include their original
+ * source position when source maps are configured
+ * @property {object[]} causes - name, message and stack of each error in the error.cause chain, nearest first
+ * @property {object} properties - own enumerable properties of the error other than name, message, stack and cause
+ * @property {bool} isError - the thrown value was an Error, including Errors from other realms
+ * @property {string} timestamp - ISO 8601 time the report was created
+ * @property {string} [functionName] - name of the wrapped function the error was caught in
+ * @property {string} source - what caught the error: 'wrap', 'callback', 'emitter', a global handler event,
+ * options.source, or 'notifyErrorSubscribers'
+ * @property {object} [options] - options passed to notifyErrorSubscribers
+ * @property {string} severity - options.severity; 'error' when not given
+ * @property {string[]} tags - options.tags
+ * @property {Breadcrumb[]} breadcrumbs - most recent breadcrumbs, oldest first
+ * @property {string} [fingerprint] - identifies repeats of the same error
+ * @property {CapturedCall} [call] - arguments and receiver of the wrapped function call; set when wrap's captureArgs
+ * option is given
+ * @property {number} [suppressedCount] - reports of the fingerprint that were throttled; set on summaries only
+ */
+
+/**
+ * Deepest cause chain followed
+ * @member {number}
+ */
+const MAX_CAUSES = 10;
+
+/**
+ * Deepest nesting serialized; deeper values are replaced with '[Object]' or '[Array]'
+ * @member {number}
+ */
+const MAX_SERIALIZE_DEPTH = 10;
+
+/**
+ * Error properties that are reported on their own rather than in properties
+ * @member {string[]}
+ */
+const STANDARD_ERROR_PROPERTIES = ['name', 'message', 'stack', 'cause'];
+
+/**
+ * Determines if a value is an Error, including Errors created in other realms (iframes, vm contexts)
+ * @param {*} value
+ * @return {bool}
+ */
+export function isError(value) {
+    return value instanceof Error || Object.prototype.toString.call(value) === '[object Error]';
+}
+
+/**
+ * Gets the name and message of any thrown value
+ * @param {*} value - thrown value
+ * @return {object} name and message
+ */
+function getNameAndMessage(value) {
+    if (isError(value)) {
+        return { name: String(value.name), message: String(value.message) };
+    }
+
+    if (value === null || value === undefined) {
+        return { name: String(value), message: String(value) };
+    }
+
+    if (typeof value === 'object') {
+        return {
+            name: typeof value.name === 'string' ? value.name : 'Object',
+            message: typeof value.message === 'string' ? value.message : safeStringify(value) // eslint-disable-line no-use-before-define
+        };
+    }
+
+    return { name: typeof value, message: String(value) };
+}
+
+/**
+ * Gets the stack of a thrown value
+ * @param {*} value - thrown value
+ * @return {string|undefined}
+ */
+function getStack(value) {
+    return value && typeof value.stack === 'string' ? value.stack : undefined;
+}
+
+/**
+ * Gets the name, message and stack of each error in a cause chain
+ * @param {*} error - thrown value
+ * @return {object[]} causes, nearest first
+ */
+export function getCauseChain(error) {
+    const causes = [];
+    const seen = [error];
+    let cause = error && typeof error === 'object' ? error.cause : undefined;
+
+    while (cause !== undefined && causes.length < MAX_CAUSES && seen.indexOf(cause) === -1) {
+        causes.push({ ...getNameAndMessage(cause), stack: getStack(cause) });
+        seen.push(cause);
+        cause = cause && typeof cause === 'object' ? cause.cause : undefined;
+    }
+
+    return causes;
+}
+
+/**
+ * Gets the own enumerable properties of a thrown value other than the standard error properties
+ * @param {*} error - thrown value
+ * @return {object}
+ */
+function getCustomProperties(error) {
+    if (!error || typeof error !== 'object') {
+        return {};
+    }
+
+    return Object.keys(error).reduce(function addCustomProperty(properties, key) {
+        if (STANDARD_ERROR_PROPERTIES.indexOf(key) === -1) {
+            properties[key] = error[key]; // eslint-disable-line no-param-reassign
+        }
+
+        return properties;
+    }, {});
+}
+
+/**
+ * Builds the normalized report subscribers receive
+ * @param {*} error - thrown value
+ * @param {object} [context={}]
+ * @param {object} [context.options] - options passed to notifyErrorSubscribers
+ * @param {string} [context.source='notifyErrorSubscribers'] - what caught the error; options.source is used when not given
+ * @param {string} [context.functionName] - name of the wrapped function
+ * @param {Breadcrumb[]} [context.breadcrumbs=[]]
+ * @param {string} [context.fingerprint]
+ * @param {number} [context.suppressedCount]
+ * @param {CapturedCall} [context.call]
+ * @return {ErrorReport}
+ */
+export function createErrorReport(error, context = {}) {
+    const options = context.options;
+    const report = {
+        ...getNameAndMessage(error),
+        stack: getStack(error),
+        frames: parseStack(getStack(error)),
+        causes: getCauseChain(error),
+        properties: getCustomProperties(error),
+        isError: isError(error),
+        timestamp: new Date().toISOString(),
+        functionName: context.functionName,
+        source: context.source || (options && options.source) || 'notifyErrorSubscribers',
+        options,
+        severity: getSeverity(options),
+        tags: getTags(options),
+        breadcrumbs: context.breadcrumbs || [],
+        fingerprint: context.fingerprint
+    };
+
+    if (context.suppressedCount !== undefined) {
+        report.suppressedCount = context.suppressedCount;
+    }
+
+    if (context.call) {
+        report.call = context.call;
+    }
+
+    return report;
+}
+
+/**
+ * Converts any value into a structure JSON.stringify can handle
+ * Circular references become '[Circular]', errors become their name, message and stack,
+ * functions become '[Function name]', and values nested deeper than MAX_SERIALIZE_DEPTH are summarized.
+ * @param {*} value
+ * @param {object[]} [ancestors=[]] - objects containing value; used to detect circular references
+ * @return {*} JSON safe value
+ */
+export function toSerializable(value, ancestors = []) {
+    if (value === null || ['string', 'number', 'boolean'].indexOf(typeof value) !== -1) {
+        return typeof value === 'number' && !isFinite(value) ? String(value) : value;
+    }
+
+    if (value === undefined) {
+        return undefined;
+    }
+
+    if (isFunction(value)) {
+        return `[Function ${value.name || 'anonymous'}]`;
+    }
+
+    if (typeof value !== 'object') {
+        // symbols and bigints
+        return String(value);
+    }
+
+    if (ancestors.indexOf(value) !== -1) {
+        return '[Circular]';
+    }
+
+    if (ancestors.length >= MAX_SERIALIZE_DEPTH) {
+        return Array.isArray(value) ? '[Array]' : '[Object]';
+    }
+
+    const nextAncestors = ancestors.concat([value]);
+
+    if (Array.isArray(value)) {
+        return value.map(function serializeItem(item) {
+            const serializedItem = toSerializable(item, nextAncestors);
+
+            return serializedItem === undefined ? null : serializedItem;
+        });
+    }
+
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    }
+
+    const source = isError(value) ? { name: value.name, message: value.message, stack: value.stack, ...value } : value;
+
+    return Object.keys(source).reduce(function serializeProperty(serialized, key) {
+        let serializedProperty;
+
+        try {
+            serializedProperty = toSerializable(source[key], nextAncestors);
+        } catch (error) {
+            // getters may throw
+            serializedProperty = '[Unserializable]';
+        }
+
+        if (serializedProperty !== undefined) {
+            serialized[key] = serializedProperty; // eslint-disable-line no-param-reassign
+        }
+
+        return serialized;
+    }, {});
+}
+
+/**
+ * JSON.stringify that does not throw on circular references, errors or other unusual values
+ * @param {*} value
+ * @return {string}
+ */
+export function safeStringify(value) {
+    return JSON.stringify(toSerializable(value));
+}
+
+/**
+ * Serializes an ErrorReport to JSON
+ * @param {ErrorReport} report
+ * @return {string}
+ */
+export function serializeReport(report) {
+    return safeStringify(report);
+}
@@ -0,0 +1,121 @@
+import { delay, isFunction, isThenable } from './utils';
+
+/**
+ * Exponential backoff settings
+ * @typedef {object} RetryBackoff
+ * @property {number} [delay=100] - milliseconds to wait before the first retry
+ * @property {number} [factor=2] - multiplier applied to the delay after each retry
+ * @property {number} [maxDelay=30000] - upper bound of the delay in milliseconds
+ * @property {bool} [jitter=false] - when true, each delay is a random value between 0 and the computed delay
+ */
+
+/**
+ * Retry settings given to wrap
+ * @typedef {object} RetryPolicy
+ * @property {number} [attempts=3] - total number of calls, including the first
+ * @property {RetryBackoff|function} [backoff] - backoff settings, or a function called with
+ * the number of the failed attempt and its error that returns the delay in milliseconds
+ * @property {function} [retryIf] - called with the error and the number of the failed attempt;
+ * the target is only retried when it returns true
+ */
+
+const DEFAULT_ATTEMPTS = 3;
+
+const DEFAULT_BACKOFF = {
+    delay: 100,
+    factor: 2,
+    maxDelay: 30000,
+    jitter: false
+};
+
+/**
+ * Fills in RetryPolicy defaults
+ * @param {RetryPolicy} [retry={}]
+ * @return {RetryPolicy}
+ */
+export function normalizeRetryPolicy(retry = {}) {
+    return {
+        attempts: retry.attempts > 0 ? retry.attempts : DEFAULT_ATTEMPTS,
+        backoff: isFunction(retry.backoff) ? retry.backoff : { ...DEFAULT_BACKOFF, ...retry.backoff },
+        retryIf: isFunction(retry.retryIf) ? retry.retryIf : function retryAlways() {
+            return true;
+        }
+    };
+}
+
+/**
+ * Gets the milliseconds to wait before retrying
+ * @param {RetryPolicy} policy - normalized retry policy
+ * @param {number} attempt - number of the attempt that failed, starting at 1
+ * @param {error} error - error of the attempt that failed
+ * @return {number} delay in milliseconds
+ */
+export function getRetryDelay(policy, attempt, error) {
+    const backoff = policy.backoff;
+
+    if (isFunction(backoff)) {
+        return backoff(attempt, error);
+    }
+
+    const exponentialDelay = Math.min(backoff.delay * (backoff.factor ** (attempt - 1)), backoff.maxDelay);
+
+    return backoff.jitter ? Math.random() * exponentialDelay : exponentialDelay;
+}
+
+/**
+ * Determines if another attempt should be made after a failure
+ * @param {RetryPolicy} policy - normalized retry policy
+ * @param {error} error - error of the attempt that failed
+ * @param {number} attempt - number of the attempt that failed, starting at 1
+ * @return {bool}
+ */
+export function shouldRetry(policy, error, attempt) {
+    return attempt < policy.attempts && !!policy.retryIf(error, attempt);
+}
+
+/**
+ * Calls invoke until it succeeds or the retry policy gives up
+ * Synchronous failures are retried immediately, since waiting would block.
+ * Rejected thenables are retried after the backoff delay.
+ * @param {function} invoke - calls the target function
+ * @param {RetryPolicy} retry
+ * @param {error[]} errors - every failed attempt's error is pushed onto this array
+ * @return {*} value of the first successful attempt; throws (or rejects with) the final error
+ */
+export function invokeWithRetry(invoke, retry, errors) {
+    const policy = normalizeRetryPolicy(retry);
+
+    function attemptInvoke(attempt) {
+        let value;
+
+        try {
+            value = invoke();
+        } catch (error) {
+            errors.push(error);
+
+            if (!shouldRetry(policy, error, attempt)) {
+                throw error;
+            }
+
+            return attemptInvoke(attempt + 1);
+        }
+
+        if (isThenable(value)) {
+            return value.then(undefined, function retryRejection(error) {
+                errors.push(error);
+
+                if (!shouldRetry(policy, error, attempt)) {
+                    throw error;
+                }
+
+                return delay(getRetryDelay(policy, attempt, error)).then(function retryAfterDelay() {
+                    return attemptInvoke(attempt + 1);
+                });
+            });
+        }
+
+        return value;
+    }
+
+    return attemptInvoke(1);
+}
@@ -0,0 +1,62 @@
+import { isFunction } from './utils';
+
+/**
+ * Severities from least to most severe
+ * @member {string[]}
+ */
+export const SEVERITY_LEVELS = ['debug', 'info', 'warning', 'error', 'fatal'];
+
+/**
+ * Severity of errors reported without one
+ * @member {string}
+ */
+export const DEFAULT_SEVERITY = 'error';
+
+/**
+ * Gets the severity an error was reported with
+ * @param {object} [options] - options passed to wrap or notifyErrorSubscribers
+ * @return {string} options.severity; DEFAULT_SEVERITY when it is missing or not in SEVERITY_LEVELS
+ */
+export function getSeverity(options) {
+    return options && SEVERITY_LEVELS.indexOf(options.severity) !== -1 ? options.severity : DEFAULT_SEVERITY;
+}
+
+/**
+ * Gets the tags an error was reported with
+ * @param {object} [options] - options passed to wrap or notifyErrorSubscribers
+ * @return {string[]} options.tags; a single tag is returned in an array
+ */
+export function getTags(options) {
+    if (!options || options.tags === undefined || options.tags === null) {
+        return [];
+    }
+
+    return Array.isArray(options.tags) ? options.tags : [options.tags];
+}
+
+/**
+ * Determines if a subscriber's filters accept a report
+ * The filter predicate is only called when the severity and tags match; it may throw
+ * @param {ErrorSubscriberOptions} subscriberOptions
+ * @param {error} error
+ * @param {object} options - options passed to wrap or notifyErrorSubscribers
+ * @param {ErrorReport} report
+ * @return {bool} true if the subscriber should receive the report
+ */
+export function acceptsReport(subscriberOptions, error, options, report) {
+    const { minSeverity, tags, filter } = subscriberOptions;
+
+    if (minSeverity && SEVERITY_LEVELS.indexOf(report.severity) < SEVERITY_LEVELS.indexOf(minSeverity)) {
+        return false;
+    }
+
+    const hasTags = getTags({ tags }).every(function hasTag(tag) {
+        return report.tags.indexOf(tag) !== -1;
+    });
+
+    if (!hasTags) {
+        return false;
+    }
+
+    return isFunction(filter) ? !!filter(error, options, report) : true;
+}
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import path from 'path';
+import { parseSourceMap } from './source-map';
+
+/**
+ * Loads the source map of a generated file from disk
+ * Reads the map named by the file's sourceMappingURL comment (inline maps too), or the file name with .map appended.
+ * Pass it as the loadSourceMap option of configureSourceMaps.
+ * @param {string} fileName - file name as it appears in a stack frame
+ * @return {object|null} parsed source map; null if the file or its map can't be read
+ */
+export function loadSourceMapFromDisk(fileName) {
+    const filePath = fileName.replace(/^file:\/\//, '');
+
+    if (/^[a-z]+:/i.test(filePath) && !/^[a-z]:\\/i.test(filePath)) {
+        // URLs other than file:// can't be read synchronously
+        return null;
+    }
+
+    let rawSourceMap;
+    let mapDirectory = path.dirname(filePath);
+
+    try {
+        const generatedSource = fs.readFileSync(filePath, 'utf8');
+        const sourceMappingUrls = generatedSource.match(/\/\/[#@]\s*sourceMappingURL=(\S+)/g);
+        const sourceMappingUrl = sourceMappingUrls && sourceMappingUrls[sourceMappingUrls.length - 1].replace(/^\/\/[#@]\s*sourceMappingURL=/, '');
+        const inlineMatch = sourceMappingUrl && /^data:application\/json[^,]*;base64,(.*)$/.exec(sourceMappingUrl);
+
+        if (inlineMatch) {
+            rawSourceMap = Buffer.from(inlineMatch[1], 'base64').toString('utf8');
+        } else {
+            const mapPath = sourceMappingUrl ? path.resolve(mapDirectory, sourceMappingUrl) : `${filePath}.map`;
+
+            mapDirectory = path.dirname(mapPath);
+            rawSourceMap = fs.readFileSync(mapPath, 'utf8');
+        }
+    } catch (error) {
+        return null;
+    }
+
+    return parseSourceMap(rawSourceMap, function resolveSourceFromDisk(sourceRoot, source) {
+        return /^[a-z]+:/i.test(source) ? source : path.resolve(mapDirectory, sourceRoot || '', source);
+    });
+}
@@ -0,0 +1,207 @@
+/* eslint-disable no-bitwise */
+import { isFunction } from './utils';
+
+/**
+ * Source map settings
+ * @typedef {object} SourceMapOptions
+ * @property {object} [sourceMaps] - source maps keyed by the file name or URL that appears in stack frames;
+ * values are source map objects or JSON strings
+ * @property {function} [loadSourceMap] - called with the file name of a frame that has no map in sourceMaps;
+ * returns its source map (object, JSON string or the result of parseSourceMap) or null.
+ * For Node, loadSourceMapFromDisk of error-catch-notifier/dist/source-map-loader reads maps from disk.
+ */
+
+/**
+ * Position in an original source file
+ * @typedef {object} OriginalPosition
+ * @property {string} fileName - source path, resolved against the source map's sourceRoot
+ * @property {number} lineNumber - 1 based
+ * @property {number} columnNumber - 1 based
+ * @property {string} [functionName] - name from the source map's names, if any
+ */
+
+const BASE64_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decodes one base64 VLQ segment of a source map's mappings
+ * @param {string} segment - e.g. 'AAAA'
+ * @return {number[]} decoded values
+ */
+export function decodeVlqSegment(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (let i = 0; i < segment.length; i += 1) {
+        const digit = BASE64_CHARACTERS.indexOf(segment[i]);
+
+        if (digit === -1) {
+            throw new Error(`Invalid source map mapping character: ${segment[i]}`);
+        }
+
+        value += (digit & 31) << shift;
+
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Decodes a source map's mappings into segments grouped by generated line
+ * @param {string} mappings
+ * @return {number[][][]} for each generated line (0 based), segments of
+ * [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex] with absolute, 0 based values
+ */
+export function decodeMappings(mappings) {
+    let sourceIndex = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+    let nameIndex = 0;
+
+    return mappings.split(';').map(function decodeLine(line) {
+        let generatedColumn = 0;
+
+        return line.split(',').filter(Boolean).map(function decodeSegment(segment) {
+            const values = decodeVlqSegment(segment);
+
+            generatedColumn += values[0];
+
+            if (values.length === 1) {
+                return [generatedColumn];
+            }
+
+            sourceIndex += values[1];
+            originalLine += values[2];
+            originalColumn += values[3];
+
+            if (values.length === 4) {
+                return [generatedColumn, sourceIndex, originalLine, originalColumn];
+            }
+
+            nameIndex += values[4];
+
+            return [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex];
+        });
+    });
+}
+
+/**
+ * Resolves a source against a source map's sourceRoot
+ * @param {string} [sourceRoot]
+ * @param {string} source
+ * @return {string}
+ */
+function joinSourceRoot(sourceRoot, source) {
+    if (!sourceRoot || /^[a-z]+:/i.test(source) || source[0] === '/') {
+        return source;
+    }
+
+    return `${sourceRoot.replace(/\/$/, '')}/${source}`;
+}
+
+/**
+ * Parses a source map (version 3, without sections)
+ * @param {object|string} rawSourceMap - source map object or JSON string
+ * @param {function} [resolveSource] - resolves each source path; defaults to joining it to sourceRoot
+ * @return {object} source map with an originalPositionFor function
+ */
+export function parseSourceMap(rawSourceMap, resolveSource) {
+    const sourceMap = typeof rawSourceMap === 'string' ? JSON.parse(rawSourceMap) : rawSourceMap;
+    const lines = decodeMappings(sourceMap.mappings || '');
+    const sources = (sourceMap.sources || []).map(function resolveSourcePath(source) {
+        return resolveSource ? resolveSource(sourceMap.sourceRoot, source) : joinSourceRoot(sourceMap.sourceRoot, source);
+    });
+    const names = sourceMap.names || [];
+
+    /**
+     * Finds the original position of a generated position
+     * @param {number} lineNumber - 1 based generated line
+     * @param {number} columnNumber - 1 based generated column
+     * @return {OriginalPosition|null} null when the position is not mapped
+     */
+    function originalPositionFor(lineNumber, columnNumber) {
+        const segments = lines[lineNumber - 1];
+        let match = null;
+
+        if (!segments) {
+            return null;
+        }
+
+        // the mapping for a column is the last segment starting at or before it
+        for (let i = 0; i < segments.length && segments[i][0] <= columnNumber - 1; i += 1) {
+            match = segments[i];
+        }
+
+        if (!match || match.length === 1) {
+            return null;
+        }
+
+        return {
+            fileName: sources[match[1]],
+            lineNumber: match[2] + 1,
+            columnNumber: match[3] + 1,
+            functionName: match.length === 5 ? names[match[4]] : undefined
+        };
+    }
+
+    return {
+        originalPositionFor
+    };
+}
+
+/**
+ * Creates a resolver that maps stack frames back to their original sources
+ * Source maps are parsed (or loaded) once per file and cached
+ * @param {SourceMapOptions} [sourceMapOptions={}]
+ * @return {object} resolver with a resolveFrames function
+ */
+export function createSourceMapResolver({ sourceMaps = {}, loadSourceMap } = {}) {
+    const cache = {};
+
+    function getSourceMap(fileName) {
+        if (!cache.hasOwnProperty(fileName)) {
+            try {
+                if (sourceMaps.hasOwnProperty(fileName)) {
+                    cache[fileName] = parseSourceMap(sourceMaps[fileName]);
+                } else {
+                    const loadedSourceMap = loadSourceMap ? loadSourceMap(fileName) : null;
+
+                    cache[fileName] = loadedSourceMap && !isFunction(loadedSourceMap.originalPositionFor) ? parseSourceMap(loadedSourceMap) : loadedSourceMap || null;
+                }
+            } catch (error) {
+                cache[fileName] = null;
+            }
+        }
+
+        return cache[fileName];
+    }
+
+    /**
+     * Adds the original position to each frame that has a source map
+     * @param {StackFrame[]} frames
+     * @return {StackFrame[]} copies of frames; frames without a mapping are returned unchanged
+     */
+    function resolveFrames(frames) {
+        return frames.map(function resolveFrame(frame) {
+            if (!frame.fileName || !frame.lineNumber) {
+                return frame;
+            }
+
+            const sourceMap = getSourceMap(frame.fileName);
+            const original = sourceMap && sourceMap.originalPositionFor(frame.lineNumber, frame.columnNumber || 1);
+
+            return original ? { ...frame, original } : frame;
+        });
+    }
+
+    return {
+        resolveFrames
+    };
+}
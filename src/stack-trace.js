@@ -0,0 +1,106 @@
+/**
+ * One call site of a stack trace
+ * @typedef {object} StackFrame
+ * @property {string} [functionName] - undefined for anonymous functions and top level code
+ * @property {string} fileName - path or URL of the file
+ * @property {number} [lineNumber] - 1 based
+ * @property {number} [columnNumber] - 1 based
+ * @property {string} raw - frame line as it appeared in the stack
+ * @property {object} [original] - position in the original source; set by a source map resolver
+ */
+
+/**
+ * Lines longer than this are not parsed; they are messages, and frame patterns could take long to fail on them
+ * @member {number}
+ */
+const MAX_FRAME_LENGTH = 2000;
+
+/**
+ * V8 (Chrome, Node, Edge) frame with a location: "    at fn (file.js:1:2)" or "    at file.js:1:2"
+ * The function name stops at the first parenthesis, so the pattern fails in linear time
+ * @member {RegExp}
+ */
+const V8_FRAME = /^\s*at (?:([^()]+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+
+/**
+ * V8 frame without a location: "    at fn (native)" or "    at fn (<anonymous>)"
+ * @member {RegExp}
+ */
+const V8_FRAME_WITHOUT_LOCATION = /^\s*at (?:(.+?) )?\(?([^():]+)\)?\s*$/;
+
+/**
+ * SpiderMonkey (Firefox) and JavaScriptCore (Safari) frame: "fn@file.js:1:2" or "@file.js:1:2"
+ * The function name stops at the first @, so the pattern fails in linear time
+ * @member {RegExp}
+ */
+const GECKO_FRAME = /^\s*([^@]*)@(.+?):(\d+)(?::(\d+))?\s*$/;
+
+/**
+ * JavaScriptCore frame without a function name: "file.js:1:2"
+ * @member {RegExp}
+ */
+const LOCATION_FRAME = /^\s*(\S+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Converts a matched number to a number, keeping undefined
+ * @param {string} [value]
+ * @return {number|undefined}
+ */
+function toNumber(value) {
+    return value === undefined ? undefined : Number(value);
+}
+
+/**
+ * Parses one line of a stack trace
+ * @param {string} line
+ * @return {StackFrame|null} frame; null for lines that are not frames, like the error message
+ */
+export function parseStackFrame(line) {
+    if (line.length > MAX_FRAME_LENGTH) {
+        return null;
+    }
+
+    const raw = line.trim();
+    let match = V8_FRAME.exec(line);
+
+    if (match) {
+        return { functionName: match[1], fileName: match[2], lineNumber: toNumber(match[3]), columnNumber: toNumber(match[4]), raw };
+    }
+
+    if (/^\s*at\s/.test(line)) {
+        match = V8_FRAME_WITHOUT_LOCATION.exec(line);
+
+        return match ? { functionName: match[1], fileName: match[2], lineNumber: undefined, columnNumber: undefined, raw } : null;
+    }
+
+    match = GECKO_FRAME.exec(line);
+
+    if (match) {
+        return { functionName: match[1] || undefined, fileName: match[2], lineNumber: toNumber(match[3]), columnNumber: toNumber(match[4]), raw };
+    }
+
+    match = LOCATION_FRAME.exec(line);
+
+    if (match) {
+        return { functionName: undefined, fileName: match[1], lineNumber: toNumber(match[2]), columnNumber: toNumber(match[3]), raw };
+    }
+
+    return null;
+}
+
+/**
+ * Parses a V8, SpiderMonkey or JavaScriptCore stack trace into frames
+ * @param {string} [stack] - error.stack
+ * @return {StackFrame[]} frames, innermost first
+ */
+export function parseStack(stack) {
+    if (typeof stack !== 'string') {
+        return [];
+    }
+
+    return stack.split('\n')
+        .map(parseStackFrame)
+        .filter(function isFrame(frame) {
+            return frame !== null;
+        });
+}
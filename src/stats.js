@@ -0,0 +1,253 @@
+import { isFunction, isThenable, startTimer } from './utils';
+
+/**
+ * Metric settings
+ * @typedef {object} StatsOptions
+ * @property {bool} [trackDurations=false] - records how long wrapped functions take, in a histogram per function
+ * @property {number[]} [durationBuckets] - upper bounds of the histogram buckets in milliseconds, ascending;
+ * defaults to DEFAULT_DURATION_BUCKETS
+ * @property {number} [snapshotInterval] - milliseconds between calls of onSnapshot
+ * @property {function} [onSnapshot] - called with the result of getStats every snapshotInterval
+ */
+
+/**
+ * Counters of one wrapped function
+ * @typedef {object} FunctionStats
+ * @property {number} invocations - calls, whether or not error catching was enabled
+ * @property {number} caughtErrors - errors caught and reported
+ * @property {number|null} lastErrorTime - milliseconds since the epoch of the last caught error
+ * @property {object} [durations] - histogram with count, sum (milliseconds) and buckets; buckets count the calls that
+ * took at most their key in milliseconds and more than the previous key. Set when durations are tracked.
+ */
+
+/**
+ * Counters of one subscriber
+ * @typedef {object} SubscriberStats
+ * @property {number} deliveries - errors passed to the subscriber
+ * @property {number} failures - deliveries that threw or rejected
+ * @property {number} timeouts - deliveries that timed out
+ */
+
+/**
+ * Snapshot of a notifier's metrics
+ * @typedef {object} Stats
+ * @property {object} functions - FunctionStats keyed by function name, or ClassName.methodName for methods wrapped
+ * by wrapObject / wrapClass
+ * @property {object} subscribers - SubscriberStats keyed by subscriber name
+ * @property {number} since - milliseconds since the epoch the counters were last reset
+ */
+
+/**
+ * Histogram bucket upper bounds, in milliseconds
+ * @member {number[]}
+ */
+export const DEFAULT_DURATION_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Gets the key a wrapped function's counters are kept under
+ * @param {function} targetFunction
+ * @param {object} [options] - options given to wrap
+ * @return {string} ClassName.methodName for methods wrapped by wrapObject / wrapClass; otherwise the function name
+ */
+export function getStatsKey(targetFunction, options) {
+    if (options && options.className && options.methodName) {
+        return `${options.className}.${options.methodName}`;
+    }
+
+    return targetFunction.name || 'anonymous';
+}
+
+/**
+ * Creates an empty duration histogram
+ * @param {number[]} bounds - bucket upper bounds
+ * @return {object}
+ */
+function createHistogram(bounds) {
+    const buckets = bounds.reduce(function addBucket(emptyBuckets, bound) {
+        emptyBuckets[bound] = 0; // eslint-disable-line no-param-reassign
+
+        return emptyBuckets;
+    }, {});
+
+    buckets['+Inf'] = 0;
+
+    return { count: 0, sum: 0, buckets };
+}
+
+/**
+ * Creates the metric counters of a notifier
+ * @return {object} stats
+ */
+export function createStats() {
+    let functions = {};
+    let subscribers = {};
+    let since = Date.now();
+    let trackDurations = false;
+    let durationBuckets = DEFAULT_DURATION_BUCKETS;
+    let snapshotTimer = null;
+
+    function getFunctionStats(key) {
+        if (!functions.hasOwnProperty(key)) {
+            functions[key] = { invocations: 0, caughtErrors: 0, lastErrorTime: null };
+        }
+
+        return functions[key];
+    }
+
+    function getSubscriberStats(name) {
+        if (!subscribers.hasOwnProperty(name)) {
+            subscribers[name] = { deliveries: 0, failures: 0, timeouts: 0 };
+        }
+
+        return subscribers[name];
+    }
+
+    function recordDuration(key, duration) {
+        const functionStats = getFunctionStats(key);
+
+        if (!functionStats.durations) {
+            functionStats.durations = createHistogram(durationBuckets);
+        }
+
+        const bound = durationBuckets.filter(candidate => duration <= candidate)[0];
+
+        functionStats.durations.count += 1;
+        functionStats.durations.sum += duration;
+        functionStats.durations.buckets[bound === undefined ? '+Inf' : bound] += 1;
+    }
+
+    /**
+     * Counts a call of a wrapped function and calls it, timing it when durations are tracked
+     * @param {string} key
+     * @param {function} invokeTarget - calls the wrapped function
+     * @return {*} value invokeTarget returned
+     */
+    function invoke(key, invokeTarget) {
+        getFunctionStats(key).invocations += 1;
+
+        if (!trackDurations) {
+            return invokeTarget();
+        }
+
+        const startTime = Date.now();
+
+        function recordEnd() {
+            recordDuration(key, Date.now() - startTime);
+        }
+
+        let value;
+
+        try {
+            value = invokeTarget();
+        } catch (error) {
+            recordEnd();
+
+            throw error;
+        }
+
+        if (isThenable(value)) {
+            value.then(recordEnd, recordEnd);
+        } else {
+            recordEnd();
+        }
+
+        return value;
+    }
+
+    /**
+     * Counts an error caught in a wrapped function
+     * @param {string} key
+     */
+    function recordCaughtError(key) {
+        const functionStats = getFunctionStats(key);
+
+        functionStats.caughtErrors += 1;
+        functionStats.lastErrorTime = Date.now();
+    }
+
+    /**
+     * Counts a delivery to a subscriber
+     * @param {string} name - subscriber name
+     * @param {string} status - 'fulfilled', 'rejected' or 'timedOut'
+     */
+    function recordDelivery(name, status) {
+        const subscriberStats = getSubscriberStats(name);
+
+        subscriberStats.deliveries += 1;
+
+        if (status === 'rejected') {
+            subscriberStats.failures += 1;
+        } else if (status === 'timedOut') {
+            subscriberStats.timeouts += 1;
+        }
+    }
+
+    /**
+     * Gets a copy of every counter
+     * @return {Stats}
+     */
+    function getStats() {
+        const functionsCopy = Object.keys(functions).reduce(function copyFunctionStats(copy, key) {
+            const { durations, ...counters } = functions[key];
+
+            copy[key] = durations ? { ...counters, durations: { ...durations, buckets: { ...durations.buckets } } } : counters; // eslint-disable-line no-param-reassign
+
+            return copy;
+        }, {});
+
+        const subscribersCopy = Object.keys(subscribers).reduce(function copySubscriberStats(copy, name) {
+            copy[name] = { ...subscribers[name] }; // eslint-disable-line no-param-reassign
+
+            return copy;
+        }, {});
+
+        return { functions: functionsCopy, subscribers: subscribersCopy, since };
+    }
+
+    /**
+     * Sets every counter back to zero
+     */
+    function reset() {
+        functions = {};
+        subscribers = {};
+        since = Date.now();
+    }
+
+    /**
+     * Changes metric settings; counters are kept, histograms are restarted when durationBuckets change
+     * @param {StatsOptions} [statsOptions={}]
+     */
+    function configure({ trackDurations: shouldTrackDurations = false, durationBuckets: buckets, snapshotInterval, onSnapshot } = {}) {
+        const nextBuckets = buckets || DEFAULT_DURATION_BUCKETS;
+
+        if (nextBuckets !== durationBuckets) {
+            Object.keys(functions).forEach(function clearDurations(key) {
+                delete functions[key].durations;
+            });
+        }
+
+        trackDurations = shouldTrackDurations;
+        durationBuckets = nextBuckets;
+
+        if (snapshotTimer) {
+            clearTimeout(snapshotTimer);
+            snapshotTimer = null;
+        }
+
+        if (snapshotInterval > 0 && isFunction(onSnapshot)) {
+            snapshotTimer = startTimer(function takeSnapshot() {
+                snapshotTimer = startTimer(takeSnapshot, snapshotInterval);
+                onSnapshot(getStats());
+            }, snapshotInterval);
+        }
+    }
+
+    return {
+        configure,
+        getStats,
+        invoke,
+        recordCaughtError,
+        recordDelivery,
+        reset
+    };
+}
@@ -0,0 +1,150 @@
+import { startTimer } from './utils';
+
+/**
+ * Deduplication and rate limit settings
+ * @typedef {object} ThrottleOptions
+ * @property {number} [dedupeWindow=0] - milliseconds after the first report of a fingerprint
+ * during which repeats of it are suppressed; 0 turns deduplication off
+ * @property {number} [rateLimitWindow=60000] - milliseconds the rate limits apply to
+ * @property {number} [perFingerprintLimit=Infinity] - reports of one fingerprint allowed per rate limit window
+ * @property {number} [globalLimit=Infinity] - reports of all fingerprints allowed per rate limit window
+ */
+
+/**
+ * Count of reports suppressed for a fingerprint during a window that has closed
+ * @typedef {object} SuppressedSummary
+ * @property {string} fingerprint
+ * @property {number} suppressedCount - number of reports that were not delivered
+ * @property {error} error - first error reported with the fingerprint during the window
+ * @property {object} options - options that error was reported with
+ * @property {object} [context] - context that error was reported with
+ */
+
+const DEFAULT_RATE_LIMIT_WINDOW = 60000;
+
+/**
+ * Creates the deduplication / rate limit state for a notifier
+ * @param {ThrottleOptions} throttleOptions
+ * @param {function} onSummary - called with a SuppressedSummary when a window closes with suppressed reports
+ * @return {object} throttle with shouldNotify and dispose functions
+ */
+export function createThrottle(throttleOptions, onSummary) {
+    const dedupeWindow = throttleOptions.dedupeWindow || 0;
+    const rateLimitWindow = throttleOptions.rateLimitWindow || DEFAULT_RATE_LIMIT_WINDOW;
+    const perFingerprintLimit = throttleOptions.perFingerprintLimit >= 0 ? throttleOptions.perFingerprintLimit : Infinity;
+    const globalLimit = throttleOptions.globalLimit >= 0 ? throttleOptions.globalLimit : Infinity;
+    const isRateLimited = perFingerprintLimit !== Infinity || globalLimit !== Infinity;
+
+    let dedupeEntries = {};
+    let rateLimitEntries = {};
+    let rateLimitTimer = null;
+    let globalCount = 0;
+
+    function summarize(entry) {
+        if (entry.suppressedCount > 0) {
+            onSummary({
+                fingerprint: entry.fingerprint,
+                suppressedCount: entry.suppressedCount,
+                error: entry.error,
+                options: entry.options,
+                context: entry.context
+            });
+        }
+    }
+
+    function closeDedupeWindow(fingerprint) {
+        const entry = dedupeEntries[fingerprint];
+        delete dedupeEntries[fingerprint];
+
+        summarize(entry);
+    }
+
+    function closeRateLimitWindow() {
+        const entries = rateLimitEntries;
+
+        rateLimitEntries = {};
+        rateLimitTimer = null;
+        globalCount = 0;
+
+        Object.keys(entries).forEach(function summarizeRateLimitEntry(fingerprint) {
+            summarize(entries[fingerprint]);
+        });
+    }
+
+    /**
+     * Records a report and determines if it should be delivered to subscribers
+     * @param {string} fingerprint
+     * @param {error} error
+     * @param {object} options
+     * @param {object} [context] - returned with the error in its summary
+     * @return {bool} true if the report should be delivered; false if it is suppressed
+     */
+    function shouldNotify(fingerprint, error, options, context) {
+        if (dedupeWindow > 0) {
+            if (dedupeEntries.hasOwnProperty(fingerprint)) {
+                dedupeEntries[fingerprint].suppressedCount += 1;
+
+                return false;
+            }
+
+            dedupeEntries[fingerprint] = {
+                fingerprint,
+                error,
+                options,
+                context,
+                suppressedCount: 0,
+                timer: startTimer(function dedupeWindowTimeout() {
+                    closeDedupeWindow(fingerprint);
+                }, dedupeWindow)
+            };
+        }
+
+        if (!isRateLimited) {
+            return true;
+        }
+
+        if (!rateLimitTimer) {
+            rateLimitTimer = startTimer(closeRateLimitWindow, rateLimitWindow);
+        }
+
+        if (!rateLimitEntries.hasOwnProperty(fingerprint)) {
+            rateLimitEntries[fingerprint] = { fingerprint, error, options, context, count: 0, suppressedCount: 0 };
+        }
+
+        const entry = rateLimitEntries[fingerprint];
+
+        if (entry.count >= perFingerprintLimit || globalCount >= globalLimit) {
+            entry.suppressedCount += 1;
+
+            return false;
+        }
+
+        entry.count += 1;
+        globalCount += 1;
+
+        return true;
+    }
+
+    /**
+     * Stops all window timers without delivering summaries
+     */
+    function dispose() {
+        Object.keys(dedupeEntries).forEach(function clearDedupeTimer(fingerprint) {
+            clearTimeout(dedupeEntries[fingerprint].timer);
+        });
+
+        if (rateLimitTimer) {
+            clearTimeout(rateLimitTimer);
+        }
+
+        dedupeEntries = {};
+        rateLimitEntries = {};
+        rateLimitTimer = null;
+        globalCount = 0;
+    }
+
+    return {
+        dispose,
+        shouldNotify
+    };
+}
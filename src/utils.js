@@ -0,0 +1,69 @@
+/**
+ * Determines if object is a function
+ * @param {object} obj - any value with object on its prototype chain
+ * @return {bool} true if obj is a function; false if not
+ */
+export function isFunction(obj) {
+    return !!(obj && obj.constructor && obj.call && obj.apply);
+}
+
+/**
+ * Determines if object is a thenable (a Promise or Promise-like value)
+ * @param {object} obj - any value
+ * @return {bool} true if obj has a then method; false if not
+ */
+export function isThenable(obj) {
+    return !!(obj && isFunction(obj.then));
+}
+
+/**
+ * Determines if a value is an object that is not an array
+ * @param {*} value - any value
+ * @return {bool} true if value is a non-null object other than an array; false if not
+ */
+export function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Returns a promise that resolves after a number of milliseconds
+ * @param {number} milliseconds
+ * @return {Promise}
+ */
+export function delay(milliseconds) {
+    return new Promise(function delayExecutor(resolve) {
+        setTimeout(resolve, milliseconds);
+    });
+}
+
+/**
+ * Starts a timer that does not keep a Node process alive
+ * @param {function} callback
+ * @param {number} milliseconds
+ * @return {object} timer id
+ */
+export function startTimer(callback, milliseconds) {
+    const timer = setTimeout(callback, milliseconds);
+
+    if (timer && timer.unref) {
+        timer.unref();
+    }
+
+    return timer;
+}
+
+/**
+ * Gets the browser window, if there is one
+ * @return {object|undefined}
+ */
+export function getDefaultWindow() {
+    return typeof window !== 'undefined' ? window : undefined;
+}
+
+/**
+ * Gets the Node process, if there is one
+ * @return {object|undefined}
+ */
+export function getDefaultProcess() {
+    return typeof process !== 'undefined' && isFunction(process.on) ? process : undefined;
+}
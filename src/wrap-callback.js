@@ -0,0 +1,179 @@
+import { isFunction } from './utils';
+
+/**
+ * Options given to wrapCallback
+ * Every other property is passed to wrap and to notifyErrorSubscribers
+ * @typedef {object} WrapCallbackOptions
+ * @property {bool} [callOnError=true] - the callback is still called after its error is reported
+ */
+
+/**
+ * EventEmitter methods that add a listener
+ * @member {string[]}
+ */
+const ADD_LISTENER_METHODS = ['addListener', 'on', 'once', 'prependListener', 'prependOnceListener'];
+
+/**
+ * EventEmitter methods that remove a listener
+ * @member {string[]}
+ */
+const REMOVE_LISTENER_METHODS = ['off', 'removeListener'];
+
+/**
+ * Creates wrapCallback and wrapEmitter for a notifier
+ * @param {object} notifier - internals of the notifier
+ * @param {function} notifier.notify - called with error, options and report context
+ * @param {function} notifier.isEnabled - returns the notifier's _isEnabled
+ * @param {function} notifier.wrap - wrap of the notifier
+ * @param {function} notifier.resolveMode - returns the mode wrapped functions with the given options use
+ * @param {function} notifier.callWithReportedError - calls a function so wrapped functions don't report the given
+ * error again
+ * @return {object} wrapCallback and wrapEmitter functions
+ */
+export function createCallbackWrappers({ notify, isEnabled, wrap, resolveMode, callWithReportedError }) {
+    /**
+     * Determines if errors reach subscribers, the way wrap does: catching is enabled and the mode is not passthrough
+     * @param {object} options
+     * @return {bool}
+     */
+    function isReporting(options) {
+        return isEnabled() && resolveMode(options) !== 'passthrough';
+    }
+
+    /**
+     * Wraps a Node style callback, called with an error or null first
+     * Errors passed to the callback are reported, then the callback is called with them unless callOnError is false.
+     * Errors thrown by the callback are caught like any wrapped function's; throwing the reported error does not
+     * report it again.
+     * @param {function} callback
+     * @param {WrapCallbackOptions} [options={}]
+     * @return {function} wrapped callback
+     */
+    function wrapCallback(callback, options = {}) {
+        const { callOnError = true, ...wrapOptions } = options;
+        const wrappedCallback = wrap(callback, wrapOptions);
+        const reportContext = { source: 'callback', functionName: callback.name };
+
+        return function errorCatchNotifierCallback(error, ...results) {
+            const args = [error, ...results];
+
+            if (error === null || error === undefined || !isReporting(wrapOptions)) {
+                return wrappedCallback.apply(this, args);
+            }
+
+            notify(error, wrapOptions, reportContext);
+
+            if (!callOnError) {
+                return undefined;
+            }
+
+            return callWithReportedError(error, () => wrappedCallback.apply(this, args));
+        };
+    }
+
+    /**
+     * Reports 'error' events of an EventEmitter and wraps its listeners, those added from now on included
+     * Listeners are wrapped with the options plus eventName, and can still be removed with the original function.
+     * Listeners the emitter already has are replaced in order; emitters without eventNames and rawListeners keep them as they are.
+     * While error catching is disabled, or the mode of the options is passthrough, 'error' events keep their default behavior.
+     * @param {object} emitter - Node EventEmitter or anything with the same methods
+     * @param {object} [options={}] - passed to wrap and to notifyErrorSubscribers
+     * @return {object} emitter
+     */
+    function wrapEmitter(emitter, options = {}) {
+        const originalOn = emitter.on;
+        const wrappedListeners = {};
+
+        function getWrappedListener(eventName, listener) {
+            if (!wrappedListeners[eventName]) {
+                wrappedListeners[eventName] = new WeakMap();
+            }
+
+            if (!wrappedListeners[eventName].has(listener)) {
+                const wrappedListener = wrap(listener, { ...options, eventName });
+
+                Object.defineProperty(wrappedListener, 'name', { value: listener.name, configurable: true });
+                wrappedListeners[eventName].set(listener, wrappedListener);
+            }
+
+            return wrappedListeners[eventName].get(listener);
+        }
+
+        /**
+         * Replaces the listeners the emitter already has with wrapped ones, keeping their order and once listeners once
+         * Uses the original methods, before they are replaced below
+         */
+        function wrapExistingListeners() {
+            if (!isFunction(emitter.eventNames) || !isFunction(emitter.rawListeners) || !isFunction(emitter.removeListener)) {
+                return;
+            }
+
+            emitter.eventNames().forEach(function wrapEventListeners(eventName) {
+                const rawListeners = emitter.rawListeners(eventName);
+
+                rawListeners.forEach(function removeRawListener(rawListener) {
+                    emitter.removeListener(eventName, rawListener);
+                });
+
+                rawListeners.forEach(function addWrappedListener(rawListener) {
+                    // once listeners are returned in Node's once wrapper, which keeps the original as listener
+                    const isOnce = isFunction(rawListener.listener) && isFunction(emitter.once);
+                    const listener = isOnce ? rawListener.listener : rawListener;
+
+                    emitter[isOnce ? 'once' : 'on'](eventName, getWrappedListener(eventName, listener));
+                });
+            });
+        }
+
+        wrapExistingListeners();
+
+        ADD_LISTENER_METHODS.forEach(function wrapAddListener(method) {
+            const originalMethod = emitter[method];
+
+            if (!isFunction(originalMethod)) {
+                return;
+            }
+
+            emitter[method] = function errorCatchNotifierAddListener(eventName, listener, ...rest) { // eslint-disable-line no-param-reassign
+                const wrappedListener = isFunction(listener) ? getWrappedListener(eventName, listener) : listener;
+
+                return originalMethod.apply(this, [eventName, wrappedListener, ...rest]);
+            };
+        });
+
+        REMOVE_LISTENER_METHODS.forEach(function wrapRemoveListener(method) {
+            const originalMethod = emitter[method];
+
+            if (!isFunction(originalMethod)) {
+                return;
+            }
+
+            emitter[method] = function errorCatchNotifierRemoveListener(eventName, listener, ...rest) { // eslint-disable-line no-param-reassign
+                const wrappedListener = wrappedListeners[eventName] && wrappedListeners[eventName].get(listener);
+
+                return originalMethod.apply(this, [eventName, wrappedListener || listener, ...rest]);
+            };
+        });
+
+        // added with the original on, so it is not wrapped
+        originalOn.call(emitter, 'error', function errorCatchNotifierErrorEvent(error) {
+            if (!isReporting(options)) {
+                // Node throws 'error' events nothing listens for; keep that behavior when this is the only listener
+                if (isFunction(emitter.listenerCount) && emitter.listenerCount('error') === 1) {
+                    throw error;
+                }
+
+                return;
+            }
+
+            notify(error, { ...options, eventName: 'error' }, { source: 'emitter' });
+        });
+
+        return emitter;
+    }
+
+    return {
+        wrapCallback,
+        wrapEmitter
+    };
+}
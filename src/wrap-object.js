@@ -0,0 +1,160 @@
+import { isFunction } from './utils';
+
+/**
+ * Options given to wrapObject and wrapClass
+ * Every other property is passed to wrap for each method
+ * @typedef {object} WrapObjectOptions
+ * @property {string[]} [include] - only these methods are wrapped
+ * @property {string[]} [exclude] - these methods are not wrapped
+ */
+
+/**
+ * Own properties of functions that are never wrapped as static methods
+ * @member {string[]}
+ */
+const RESERVED_STATIC_PROPERTIES = ['arguments', 'caller', 'length', 'name', 'prototype'];
+
+/**
+ * Determines if a property should be wrapped based on include / exclude lists
+ * @param {string} key - property name
+ * @param {WrapObjectOptions} options
+ * @return {bool}
+ */
+function shouldWrapProperty(key, { include, exclude }) {
+    if (key === 'constructor') {
+        return false;
+    }
+
+    if (include) {
+        return include.indexOf(key) !== -1;
+    }
+
+    if (exclude) {
+        return exclude.indexOf(key) === -1;
+    }
+
+    return true;
+}
+
+/**
+ * Wraps the function values and accessors of a property descriptor
+ * @param {object} descriptor - property descriptor
+ * @param {function} wrapMethod - wraps a single function
+ * @return {object|null} new descriptor; null if the property has nothing to wrap
+ */
+function wrapDescriptor(descriptor, wrapMethod) {
+    if (descriptor.get || descriptor.set) {
+        return {
+            configurable: descriptor.configurable,
+            enumerable: descriptor.enumerable,
+            get: descriptor.get && wrapMethod(descriptor.get),
+            set: descriptor.set && wrapMethod(descriptor.set)
+        };
+    }
+
+    if (!isFunction(descriptor.value)) {
+        return null;
+    }
+
+    return {
+        configurable: descriptor.configurable,
+        enumerable: descriptor.enumerable,
+        value: wrapMethod(descriptor.value),
+        writable: descriptor.writable
+    };
+}
+
+/**
+ * Creates wrapObject and wrapClass for a notifier
+ * @param {function} wrap - wrap of the notifier
+ * @return {object} wrapObject and wrapClass functions
+ */
+export function createObjectWrappers(wrap) {
+    /**
+     * Wraps the methods of source and defines them on target
+     * @param {object} target - object the wrapped properties are defined on
+     * @param {object} source - object the property descriptors are read from
+     * @param {string[]} keys - property names to wrap
+     * @param {object} wrapOptions - options passed to wrap, without include / exclude
+     * @param {string} [className] - added to the options of each method
+     */
+    function wrapProperties(target, source, keys, wrapOptions, className) {
+        keys.forEach(function wrapProperty(key) {
+            const descriptor = Object.getOwnPropertyDescriptor(source, key);
+
+            if (!descriptor.configurable && target === source) {
+                return;
+            }
+
+            const wrappedDescriptor = wrapDescriptor(descriptor, function wrapMethod(method) {
+                const wrappedMethod = wrap(method, { ...wrapOptions, className, methodName: key });
+
+                Object.defineProperty(wrappedMethod, 'name', { value: method.name, configurable: true });
+
+                return wrappedMethod;
+            });
+
+            if (wrappedDescriptor) {
+                Object.defineProperty(target, key, wrappedDescriptor);
+            }
+        });
+    }
+
+    /**
+     * Wraps every method of an object in place, including methods inherited from its prototype chain
+     * Inherited methods are defined as own properties of obj, so the prototype is not modified
+     * Getters and setters are wrapped too. Subscribers receive the options with className and methodName added.
+     * @param {object} obj - object whose methods are wrapped
+     * @param {WrapObjectOptions} [options={}]
+     * @return {object} obj
+     */
+    function wrapObject(obj, options = {}) {
+        const { include, exclude, ...wrapOptions } = options;
+        const className = obj.constructor && obj.constructor !== Object ? obj.constructor.name : undefined;
+        const seenKeys = [];
+
+        for (let source = obj; source && source !== Object.prototype; source = Object.getPrototypeOf(source)) {
+            const keys = Object.getOwnPropertyNames(source).filter(function filterKey(key) {
+                return seenKeys.indexOf(key) === -1 && shouldWrapProperty(key, { include, exclude });
+            });
+
+            seenKeys.push(...Object.getOwnPropertyNames(source));
+
+            if (source === obj || Object.isExtensible(obj)) {
+                wrapProperties(obj, source, keys, wrapOptions, className);
+            }
+        }
+
+        return obj;
+    }
+
+    /**
+     * Wraps the prototype methods and static methods of a class in place
+     * Methods inherited from a parent class are not wrapped; wrap the parent class for those.
+     * Getters and setters are wrapped too. Subscribers receive the options with className and methodName added.
+     * @param {function} Class - class (or constructor function) whose methods are wrapped
+     * @param {WrapObjectOptions} [options={}]
+     * @return {function} Class
+     */
+    function wrapClass(Class, options = {}) {
+        const { include, exclude, ...wrapOptions } = options;
+
+        const prototypeKeys = Object.getOwnPropertyNames(Class.prototype).filter(function filterPrototypeKey(key) {
+            return shouldWrapProperty(key, { include, exclude });
+        });
+
+        const staticKeys = Object.getOwnPropertyNames(Class).filter(function filterStaticKey(key) {
+            return RESERVED_STATIC_PROPERTIES.indexOf(key) === -1 && shouldWrapProperty(key, { include, exclude });
+        });
+
+        wrapProperties(Class.prototype, Class.prototype, prototypeKeys, wrapOptions, Class.name);
+        wrapProperties(Class, Class, staticKeys, wrapOptions, Class.name);
+
+        return Class;
+    }
+
+    return {
+        wrapClass,
+        wrapObject
+    };
+}
@@ -0,0 +1,61 @@
+/* eslint-disable func-names */
+import { createBreadcrumbTrail } from '../src/breadcrumbs';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('breadcrumbs', function () {
+    describe('createBreadcrumbTrail', function () {
+        it('returns breadcrumbs oldest first with a timestamp', function () {
+            const trail = createBreadcrumbTrail(3);
+
+            trail.add({ category: 'ui', message: 'first' });
+            trail.add({ category: 'ui', message: 'second', data: { id: 1 } });
+
+            const breadcrumbs = trail.getAll();
+
+            expect(breadcrumbs.map(breadcrumb => breadcrumb.message))
+                .to.eql(['first', 'second']);
+            expect(breadcrumbs[1].data)
+                .to.eql({ id: 1 });
+            expect(breadcrumbs[0].timestamp)
+                .to.be.a('number');
+        });
+
+        it('drops the oldest breadcrumbs when full', function () {
+            const trail = createBreadcrumbTrail(3);
+
+            ['1', '2', '3', '4', '5'].forEach(message => trail.add({ message }));
+
+            expect(trail.getAll().map(breadcrumb => breadcrumb.message))
+                .to.eql(['3', '4', '5']);
+        });
+
+        it('keeps a given timestamp', function () {
+            const trail = createBreadcrumbTrail();
+
+            expect(trail.add({ message: 'first', timestamp: 42 }).timestamp)
+                .to.equal(42);
+        });
+
+        it('keeps no breadcrumbs when the size is 0', function () {
+            const trail = createBreadcrumbTrail(0);
+
+            trail.add({ message: 'first' });
+
+            expect(trail.getAll())
+                .to.eql([]);
+        });
+
+        it('removes all breadcrumbs on clear', function () {
+            const trail = createBreadcrumbTrail();
+
+            trail.add({ message: 'first' });
+            trail.clear();
+
+            expect(trail.getAll())
+                .to.eql([]);
+        });
+    });
+});
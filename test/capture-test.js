@@ -0,0 +1,66 @@
+/* eslint-disable func-names */
+import { captureCall, snapshotValue } from '../src/capture';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('capture', function () {
+    const limits = { maxDepth: 2, maxStringLength: 5, maxArrayLength: 2, maxKeys: 2 };
+
+    describe('snapshotValue', function () {
+        it('truncates long strings, arrays and objects', function () {
+            expect(snapshotValue({ name: 'abcdefgh', list: [1, 2, 3, 4], extra: true }, limits))
+                .to.eql({ name: 'abcde... (8 characters)', list: [1, 2, '[2 more items]'], '[more keys]': 1 });
+        });
+
+        it('summarizes values nested deeper than maxDepth', function () {
+            expect(snapshotValue({ a: { b: { c: 1 }, d: [1] } }, limits))
+                .to.eql({ a: { b: '[Object]', d: '[Array]' } });
+        });
+
+        it('replaces circular references', function () {
+            const order = { id: 1 };
+            order.self = order;
+
+            expect(snapshotValue(order, limits))
+                .to.eql({ id: 1, self: '[Circular]' });
+        });
+
+        it('summarizes functions, DOM nodes, dates and errors', function () {
+            const node = { nodeType: 1, nodeName: 'BUTTON', id: 'buy', className: 'btn  primary', ownerDocument: {} };
+
+            expect(snapshotValue([function submit() {}, node], limits))
+                .to.eql(['[Function submit]', '[button#buy.btn.primary]']);
+            expect(snapshotValue(new Date(0), limits))
+                .to.equal('1970-01-01T00:00:00.000Z');
+            expect(snapshotValue(new TypeError('bad'), limits))
+                .to.eql({ name: 'TypeError', message: 'bad' });
+        });
+
+        it('marks properties whose getters throw', function () {
+            const value = { get broken() { throw new Error('getter'); } };
+
+            expect(snapshotValue(value, limits))
+                .to.eql({ broken: '[Unreadable]' });
+        });
+    });
+
+    describe('captureCall', function () {
+        it('captures every argument and only the selected properties of this', function () {
+            const receiver = { id: 7, password: 'hunter2' };
+            const args = [1, 2, 3, { nested: { deep: { deeper: true } } }];
+
+            expect(captureCall(args, receiver, { thisProperties: ['id'], maxArrayLength: 2, maxDepth: 2 }))
+                .to.eql({
+                    args: [1, 2, 3, { nested: { deep: '[Object]' } }],
+                    this: { id: 7 }
+                });
+        });
+
+        it('uses the default limits when captureArgs is true', function () {
+            expect(captureCall(['x'.repeat(1001)], undefined, true).args[0])
+                .to.have.length(1000 + '... (1001 characters)'.length);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/* eslint-disable func-names */
+import { createConfigurationError, validateConfig } from '../src/config';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('config', function () {
+    const errorModes = ['swallow', 'rethrow', 'passthrough'];
+
+    describe('validateConfig', function () {
+        it('accepts a valid config', function () {
+            expect(validateConfig({
+                subscribers: [function errorSubscriber(error) { return error; }],
+                enabled: true,
+                logging: { logger: { warn() {} }, level: 'warn' },
+                mode: 'rethrow',
+                throttle: { dedupeWindow: 1000 },
+                breadcrumbs: { maxBreadcrumbs: 10, captureWrapCalls: false },
+                redaction: { patterns: ['email', /order-\d+/g], denyKeys: ['ssn', /^x-/i] },
+                sourceMaps: null,
+                stats: { trackDurations: true, durationBuckets: [10, 100] },
+                strict: true
+            }, errorModes))
+                .to.eql([]);
+        });
+
+        it('finds every problem, nested ones included', function () {
+            const problems = validateConfig({
+                subscribers: [function noArguments() {}, 'notAFunction'],
+                enabled: 'yes',
+                logging: { level: 'verbose' },
+                mode: 'explode',
+                throttle: { dedupeWindow: -1, window: 10 },
+                redaction: { patterns: ['phone', /unflagged/] },
+                stats: { durationBuckets: [100, 10] },
+                unknownOption: true
+            }, errorModes);
+
+            expect(problems.map(problem => problem.message))
+                .to.eql([
+                    'subscribers[0] must accept an error as its first argument',
+                    'subscribers[1] must be a function',
+                    'enabled must be a boolean',
+                    'logging.level must be one of debug, info, warn, error',
+                    'mode must be one of swallow, rethrow, passthrough',
+                    'throttle.dedupeWindow must be a non-negative number',
+                    'throttle.window is not a known option',
+                    'redaction.patterns[0] must be a RegExp with the global flag or one of bearerToken, jwt, email, creditCard',
+                    'redaction.patterns[1] must be a RegExp with the global flag or one of bearerToken, jwt, email, creditCard',
+                    'stats.durationBuckets must be an array of ascending non-negative numbers',
+                    'unknownOption is not a known option'
+                ]);
+            expect(problems[0].field)
+                .to.equal('subscribers');
+        });
+
+        it('accepts subscriber entries with options and finds their problems', function () {
+            function noArguments() {}
+
+            const problems = validateConfig({
+                subscribers: [
+                    { subscriber: noArguments, options: { acceptsError: true, minSeverity: 'error' } },
+                    { subscriber: noArguments },
+                    { subscriber: 'notAFunction' },
+                    { subscriber: noArguments, options: null, tags: ['checkout'] }
+                ]
+            }, errorModes);
+
+            expect(problems.map(problem => problem.message))
+                .to.eql([
+                    'subscribers[1] must accept an error as its first argument',
+                    'subscribers[2].subscriber must be a function',
+                    'subscribers[3].tags is not a known option',
+                    'subscribers[3].options must be an object',
+                    'subscribers[3] must accept an error as its first argument'
+                ]);
+        });
+
+        it('rejects configs that are not objects', function () {
+            expect(validateConfig([], errorModes))
+                .to.eql([{ field: '', message: 'config must be an object' }]);
+        });
+    });
+
+    describe('createConfigurationError', function () {
+        it('lists every problem in its message', function () {
+            const problems = [{ field: 'mode', message: 'mode must be a string' }, { field: 'strict', message: 'strict must be a boolean' }];
+            const error = createConfigurationError(problems);
+
+            expect(error.name)
+                .to.equal('ConfigurationError');
+            expect(error.message)
+                .to.equal('Invalid error catch notifier config:\n- mode must be a string\n- strict must be a boolean');
+            expect(error.problems)
+                .to.equal(problems);
+        });
+    });
+});
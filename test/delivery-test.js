@@ -0,0 +1,38 @@
+/* eslint-disable func-names */
+import { settleWithTimeout } from '../src/delivery';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('delivery', function () {
+    describe('settleWithTimeout', function () {
+        it('fulfills values that are not thenables right away', function () {
+            return settleWithTimeout('sent')
+                .then(function (result) {
+                    expect(result)
+                        .to.eql({ status: 'fulfilled', value: 'sent' });
+                });
+        });
+
+        it('settles with the outcome of a promise', function () {
+            const testError = new Error('testError');
+
+            return Promise.all([settleWithTimeout(Promise.resolve('sent')), settleWithTimeout(Promise.reject(testError))])
+                .then(function (results) {
+                    expect(results)
+                        .to.eql([{ status: 'fulfilled', value: 'sent' }, { status: 'rejected', reason: testError }]);
+                });
+        });
+
+        it('times out promises that take longer than the timeout', function () {
+            return settleWithTimeout(new Promise(function () {}), 10)
+                .then(function (result) {
+                    expect(result.status)
+                        .to.equal('timedOut');
+                    expect(result.reason.message)
+                        .to.equal('Error subscriber timed out after 10ms');
+                });
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/* eslint-disable func-names */
+import { createFileTransport, getRotationPeriod, rotateFiles } from '../src/file-transport';
+import { createErrorReport } from '../src/report';
+
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const stub = require('sinon').stub;
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+chai.use(sinonChai);
+
+describe('file-transport', function () {
+    let directory;
+    let filePath;
+    let targetProcess;
+    let transport;
+
+    function readLines(file) {
+        return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'error-catch-notifier-'));
+        filePath = path.join(directory, 'errors.log');
+        targetProcess = new EventEmitter();
+    });
+
+    afterEach(function () {
+        if (transport) {
+            transport.dispose();
+        }
+
+        fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+        fs.rmdirSync(directory);
+    });
+
+    it('appends one JSON line per report on flush', function () {
+        const failback = stub();
+        transport = createFileTransport({ path: filePath, process: targetProcess });
+
+        transport(new Error('first'), {}, failback, [], createErrorReport(new Error('first')));
+        transport(new Error('second'), {}, failback, []);
+
+        expect(fs.existsSync(filePath))
+            .to.be.false;
+
+        return transport.flush()
+            .then(function () {
+                expect(readLines(filePath).map(report => report.message))
+                    .to.eql(['first', 'second']);
+                expect(failback)
+                    .to.have.been.calledWith(undefined, { path: filePath, reportCount: 2 });
+            });
+    });
+
+    it('writes buffered reports after flushInterval', function () {
+        transport = createFileTransport({ path: filePath, flushInterval: 10, process: targetProcess });
+
+        transport(new Error('first'), {}, stub());
+
+        return new Promise(resolve => setTimeout(resolve, 100))
+            .then(function () {
+                expect(readLines(filePath).length)
+                    .to.equal(1);
+            });
+    });
+
+    it('writes buffered reports synchronously when the process exits', function () {
+        transport = createFileTransport({ path: filePath, process: targetProcess });
+
+        transport(new Error('first'), {}, stub());
+        targetProcess.emit('exit');
+
+        expect(readLines(filePath)[0].message)
+            .to.equal('first');
+    });
+
+    it('rotates the file before it passes maxSize, keeping maxFiles rotated files', function () {
+        transport = createFileTransport({ path: filePath, maxSize: 10, maxFiles: 2, process: targetProcess });
+
+        function write(message) {
+            transport(new Error(message), {}, stub());
+
+            return transport.flush();
+        }
+
+        return write('first')
+            .then(() => write('second'))
+            .then(() => write('third'))
+            .then(() => write('fourth'))
+            .then(function () {
+                expect(fs.readdirSync(directory).sort())
+                    .to.eql(['errors.log', 'errors.log.1', 'errors.log.2']);
+                expect(readLines(filePath)[0].message)
+                    .to.equal('fourth');
+                expect(readLines(`${filePath}.1`)[0].message)
+                    .to.equal('third');
+                expect(readLines(`${filePath}.2`)[0].message)
+                    .to.equal('second');
+            });
+    });
+
+    it('rotates an existing file from an earlier period', function () {
+        const yesterday = new Date(Date.now() - (24 * 60 * 60 * 1000));
+        fs.writeFileSync(filePath, '{"message":"old"}\n');
+        fs.utimesSync(filePath, yesterday, yesterday);
+        transport = createFileTransport({ path: filePath, interval: 'day', process: targetProcess });
+
+        transport(new Error('first'), {}, stub());
+
+        return transport.flush()
+            .then(function () {
+                expect(readLines(filePath)[0].message)
+                    .to.equal('first');
+                expect(readLines(`${filePath}.1`)[0].message)
+                    .to.equal('old');
+            });
+    });
+
+    it('passes write failures to the failback', function () {
+        const failback = stub();
+        transport = createFileTransport({ path: path.join(directory, 'missing', 'errors.log'), process: targetProcess });
+
+        transport(new Error('first'), {}, failback);
+
+        return transport.flush()
+            .then(function () {
+                expect(failback.firstCall.args[0].code)
+                    .to.equal('ENOENT');
+            });
+    });
+
+    it('removes the exit listener on dispose', function () {
+        transport = createFileTransport({ path: filePath, process: targetProcess });
+
+        transport.dispose();
+
+        expect(targetProcess.listenerCount('exit'))
+            .to.equal(0);
+    });
+
+    describe('getRotationPeriod', function () {
+        it('gets the day or hour of a date', function () {
+            const date = new Date(2017, 4, 1, 13);
+
+            expect(getRotationPeriod('day', date))
+                .to.equal('2017-5-1');
+            expect(getRotationPeriod('hour', date))
+                .to.equal('2017-5-1T13');
+            expect(getRotationPeriod(undefined, date))
+                .to.be.null;
+        });
+    });
+
+    describe('rotateFiles', function () {
+        it('deletes the file when no rotated files are kept', function () {
+            fs.writeFileSync(filePath, 'line\n');
+
+            rotateFiles(filePath, 0);
+
+            expect(fs.readdirSync(directory))
+                .to.eql([]);
+        });
+    });
+});
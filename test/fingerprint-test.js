@@ -0,0 +1,89 @@
+/* eslint-disable func-names */
+import {
+    getErrorFingerprint,
+    getTopStackFrames,
+    hashString
+} from '../src/fingerprint';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('fingerprint', function () {
+    describe('getTopStackFrames', function () {
+        it('returns the first V8 stack frames without the message line', function () {
+            const error = new Error('testError');
+            error.stack = [
+                'Error: testError',
+                '    at first (file.js:1:1)',
+                '    at second (file.js:2:2)',
+                '    at third (file.js:3:3)',
+                '    at fourth (file.js:4:4)'
+            ].join('\n');
+
+            expect(getTopStackFrames(error))
+                .to.eql(['at first (file.js:1:1)', 'at second (file.js:2:2)', 'at third (file.js:3:3)']);
+        });
+
+        it('returns SpiderMonkey and JavaScriptCore stack frames', function () {
+            const error = { stack: 'first@file.js:1:1\nsecond@file.js:2:2' };
+
+            expect(getTopStackFrames(error, 1))
+                .to.eql(['first@file.js:1:1']);
+        });
+
+        it('returns an empty array for values without a stack', function () {
+            expect(getTopStackFrames('testError'))
+                .to.eql([]);
+        });
+    });
+
+    describe('hashString', function () {
+        it('returns the same hash for the same string', function () {
+            expect(hashString('testString'))
+                .to.equal(hashString('testString'));
+            expect(hashString('testString'))
+                .not.to.equal(hashString('otherString'));
+        });
+    });
+
+    describe('getErrorFingerprint', function () {
+        function throwError(message) {
+            try {
+                throw new Error(message);
+            } catch (error) {
+                return error;
+            }
+        }
+
+        it('returns the same fingerprint for errors thrown from the same place', function () {
+            const errors = ['testError', 'testError'].map(throwError);
+
+            expect(getErrorFingerprint(errors[0], { name: 'render' }))
+                .to.equal(getErrorFingerprint(errors[1], { name: 'render' }));
+        });
+
+        it('returns different fingerprints for different messages or options', function () {
+            const error = throwError('testError');
+
+            expect(getErrorFingerprint(error))
+                .not.to.equal(getErrorFingerprint(throwError('otherError')));
+            expect(getErrorFingerprint(error, { name: 'render' }))
+                .not.to.equal(getErrorFingerprint(error, { name: 'update' }));
+        });
+
+        it('ignores options that are not primitives', function () {
+            const error = throwError('testError');
+
+            expect(getErrorFingerprint(error, { name: 'render', fallback() {} }))
+                .to.equal(getErrorFingerprint(error, { name: 'render', fallback: [] }));
+        });
+
+        it('fingerprints thrown values that are not errors', function () {
+            expect(getErrorFingerprint('testError'))
+                .to.equal(getErrorFingerprint('testError'));
+            expect(getErrorFingerprint(null))
+                .not.to.equal(getErrorFingerprint(undefined));
+        });
+    });
+});
@@ -0,0 +1,183 @@
+/* eslint-disable func-names */
+import { createGlobalHandlers } from '../src/global-handlers';
+
+const EventEmitter = require('events').EventEmitter;
+const chai = require('chai');
+const stub = require('sinon').stub;
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+chai.use(sinonChai);
+
+describe('global-handlers', function () {
+    let notify;
+    let enabled;
+    let globalHandlers;
+
+    beforeEach(function () {
+        notify = stub();
+        enabled = true;
+        globalHandlers = createGlobalHandlers(notify, () => enabled);
+    });
+
+    afterEach(function () {
+        globalHandlers.uninstall();
+    });
+
+    describe('process handlers', function () {
+        let targetProcess;
+
+        beforeEach(function () {
+            targetProcess = new EventEmitter();
+            globalHandlers.install({ process: targetProcess, window: null });
+        });
+
+        it('notifies uncaught exceptions and unhandled rejections with a source', function () {
+            const testError = new Error('testError');
+
+            targetProcess.emit('uncaughtException', testError);
+            targetProcess.emit('unhandledRejection', 'testReason');
+
+            expect(notify)
+                .to.have.been.calledWith(testError, { source: 'uncaughtException' });
+            expect(notify)
+                .to.have.been.calledWith('testReason', { source: 'unhandledRejection' });
+        });
+
+        it('exits once subscribers have settled after an uncaught exception', function () {
+            targetProcess.exit = stub();
+
+            targetProcess.emit('uncaughtException', new Error('testError'));
+
+            expect(targetProcess.exit)
+                .not.to.have.been.called;
+
+            return Promise.resolve()
+                .then(function () {
+                    expect(targetProcess.exit)
+                        .to.have.been.calledWith(1);
+                });
+        });
+
+        it('keeps running after an uncaught exception when exitOnUncaughtException is false', function () {
+            const otherProcess = new EventEmitter();
+            otherProcess.exit = stub();
+            globalHandlers.uninstall();
+            globalHandlers.install({ process: otherProcess, window: null, exitOnUncaughtException: false });
+
+            otherProcess.emit('uncaughtException', new Error('testError'));
+
+            return Promise.resolve()
+                .then(function () {
+                    expect(notify)
+                        .to.have.been.calledOnce;
+                    expect(otherProcess.exit)
+                        .not.to.have.been.called;
+                });
+        });
+
+        it('detaches its listeners while catching is disabled, so Node handles errors itself', function () {
+            enabled = false;
+            globalHandlers.update();
+
+            expect(targetProcess.listenerCount('uncaughtException'))
+                .to.equal(0);
+            expect(targetProcess.listenerCount('unhandledRejection'))
+                .to.equal(0);
+
+            enabled = true;
+            globalHandlers.update();
+
+            expect(targetProcess.listenerCount('uncaughtException'))
+                .to.equal(1);
+            expect(targetProcess.listenerCount('unhandledRejection'))
+                .to.equal(1);
+        });
+
+        it('leaves errors to other listeners when catching is disabled', function () {
+            const otherListener = stub();
+            enabled = false;
+            globalHandlers.update();
+            targetProcess.on('uncaughtException', otherListener);
+
+            targetProcess.emit('uncaughtException', 'testError');
+
+            expect(otherListener)
+                .to.have.been.calledWith('testError');
+            expect(notify)
+                .not.to.have.been.called;
+        });
+
+        it('removes its listeners on uninstall', function () {
+            expect(globalHandlers.uninstall())
+                .to.be.true;
+            expect(targetProcess.listenerCount('uncaughtException'))
+                .to.equal(0);
+            expect(targetProcess.listenerCount('unhandledRejection'))
+                .to.equal(0);
+        });
+
+        it('does not install twice', function () {
+            expect(globalHandlers.install({ process: targetProcess, window: null }))
+                .to.be.false;
+            expect(targetProcess.listenerCount('uncaughtException'))
+                .to.equal(1);
+        });
+    });
+
+    describe('window handlers', function () {
+        let targetWindow;
+        let previousOnError;
+
+        beforeEach(function () {
+            previousOnError = stub().returns(false);
+            targetWindow = new EventEmitter();
+            targetWindow.onerror = previousOnError;
+            targetWindow.addEventListener = targetWindow.on;
+            targetWindow.removeEventListener = targetWindow.removeListener;
+            globalHandlers.install({ process: null, window: targetWindow });
+        });
+
+        it('notifies window.onerror errors and chains the previous handler', function () {
+            const testError = new Error('testError');
+
+            const result = targetWindow.onerror('testError', 'app.js', 1, 2, testError);
+
+            expect(result)
+                .to.be.true;
+            expect(previousOnError)
+                .to.have.been.calledWith('testError', 'app.js', 1, 2, testError);
+            expect(notify)
+                .to.have.been.calledWith(testError, { source: 'onerror', url: 'app.js', line: 1, column: 2 });
+        });
+
+        it('notifies unhandledrejection events and prevents their default', function () {
+            const event = { reason: 'testReason', preventDefault: stub() };
+
+            targetWindow.emit('unhandledrejection', event);
+
+            expect(notify)
+                .to.have.been.calledWith('testReason', { source: 'unhandledrejection' });
+            expect(event.preventDefault)
+                .to.have.been.called;
+        });
+
+        it('returns the previous handler result when catching is disabled', function () {
+            enabled = false;
+
+            expect(targetWindow.onerror('testError', 'app.js', 1, 2))
+                .to.be.false;
+            expect(notify)
+                .not.to.have.been.called;
+        });
+
+        it('restores the previous window.onerror on uninstall', function () {
+            globalHandlers.uninstall();
+
+            expect(targetWindow.onerror)
+                .to.equal(previousOnError);
+            expect(targetWindow.listenerCount('unhandledrejection'))
+                .to.equal(0);
+        });
+    });
+});
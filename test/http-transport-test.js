@@ -0,0 +1,280 @@
+/* eslint-disable func-names */
+import { createErrorCatchNotifier } from '../src/error-catch-notifier';
+import { createHttpTransport, isRetryableRequestError } from '../src/http-transport';
+import { sendWithNode } from '../src/node-request';
+import { createErrorReport } from '../src/report';
+
+const EventEmitter = require('events').EventEmitter;
+const http = require('http');
+const chai = require('chai');
+const stub = require('sinon').stub;
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+chai.use(sinonChai);
+
+describe('http-transport', function () {
+    let server;
+    let requests;
+    let responseStatuses;
+    let url;
+    let transport;
+
+    beforeEach(function (done) {
+        requests = [];
+        responseStatuses = [];
+
+        server = http.createServer(function (request, response) {
+            let body = '';
+
+            request.on('data', function (chunk) {
+                body += chunk;
+            });
+            request.on('end', function () {
+                requests.push({ headers: request.headers, body: JSON.parse(body) });
+                response.statusCode = responseStatuses.shift() || 200;
+                response.end();
+            });
+        });
+
+        server.listen(0, '127.0.0.1', function () {
+            url = `http://127.0.0.1:${server.address().port}/errors`;
+            done();
+        });
+    });
+
+    afterEach(function (done) {
+        if (transport) {
+            transport.dispose();
+        }
+
+        server.close(done);
+    });
+
+    function report(message) {
+        return createErrorReport(new Error(message));
+    }
+
+    it('sends a batch when batchSize reports are queued', function () {
+        const failback = stub();
+        transport = createHttpTransport({ url, batchSize: 2, flushInterval: 60000, headers: { 'X-Api-Key': 'testKey' }, window: null });
+
+        transport(new Error('first'), {}, failback, [], report('first'));
+        transport(new Error('second'), {}, failback, [], report('second'));
+
+        return transport.flush()
+            .then(function () {
+                // the batch was already sent by reaching batchSize; wait for it to arrive
+                return new Promise(resolve => setTimeout(resolve, 50));
+            })
+            .then(function () {
+                expect(requests.length)
+                    .to.equal(1);
+                expect(requests[0].body.map(item => item.message))
+                    .to.eql(['first', 'second']);
+                expect(requests[0].headers['x-api-key'])
+                    .to.equal('testKey');
+                expect(requests[0].headers['content-type'])
+                    .to.equal('application/json');
+                expect(failback)
+                    .to.have.been.calledWith(undefined, { status: 200, reportCount: 2 });
+            });
+    });
+
+    it('sends queued reports on flush in batches of batchSize', function () {
+        transport = createHttpTransport({ url, batchSize: 2, flushInterval: 60000, window: null });
+
+        transport(new Error('first'), {}, stub(), [], report('first'));
+
+        return transport.flush()
+            .then(function () {
+                expect(requests.length)
+                    .to.equal(1);
+                expect(requests[0].body[0].message)
+                    .to.equal('first');
+            });
+    });
+
+    it('sends queued reports after flushInterval', function () {
+        transport = createHttpTransport({ url, flushInterval: 10, window: null });
+
+        transport(new Error('first'), {}, stub(), [], report('first'));
+
+        return new Promise(resolve => setTimeout(resolve, 100))
+            .then(function () {
+                expect(requests.length)
+                    .to.equal(1);
+            });
+    });
+
+    it('builds a report when the subscriber is called without one', function () {
+        transport = createHttpTransport({ url, window: null });
+
+        transport(new Error('first'), { name: 'testOptions' }, stub());
+
+        return transport.flush()
+            .then(function () {
+                expect(requests[0].body[0])
+                    .to.include({ message: 'first' });
+                expect(requests[0].body[0].options)
+                    .to.eql({ name: 'testOptions' });
+            });
+    });
+
+    it('retries failed requests and reports the final failure to the failback', function () {
+        const failback = stub();
+        responseStatuses = [503, 503];
+        transport = createHttpTransport({ url, retry: { attempts: 2, backoff: { delay: 1 } }, window: null });
+
+        transport(new Error('first'), {}, failback, [], report('first'));
+
+        return transport.flush()
+            .then(function () {
+                expect(requests.length)
+                    .to.equal(2);
+                expect(failback.firstCall.args[0].status)
+                    .to.equal(503);
+            });
+    });
+
+    it('sends queued reports with sendBeacon when the page is hidden', function () {
+        const targetWindow = new EventEmitter();
+        targetWindow.addEventListener = targetWindow.on;
+        targetWindow.removeEventListener = targetWindow.removeListener;
+        const send = stub().returns(Promise.resolve(200));
+        targetWindow.navigator = { sendBeacon: stub().returns(true) };
+        targetWindow.Blob = Blob;
+        transport = createHttpTransport({ url, window: targetWindow, send });
+
+        transport(new Error('first'), {}, stub(), [], report('first'));
+        targetWindow.emit('pagehide');
+
+        const beaconData = targetWindow.navigator.sendBeacon.firstCall.args[1];
+
+        expect(targetWindow.navigator.sendBeacon)
+            .to.have.been.calledWith(url);
+        expect(beaconData.type)
+            .to.equal('application/json');
+        expect(send)
+            .not.to.have.been.called;
+
+        transport.dispose();
+
+        expect(targetWindow.listenerCount('pagehide'))
+            .to.equal(0);
+
+        return beaconData.text()
+            .then(function (body) {
+                expect(JSON.parse(body)[0].message)
+                    .to.equal('first');
+            });
+    });
+
+    it('sends reports the browser refuses to beacon with a request', function () {
+        const targetWindow = new EventEmitter();
+        targetWindow.addEventListener = targetWindow.on;
+        targetWindow.removeEventListener = targetWindow.removeListener;
+        const send = stub().returns(Promise.resolve(200));
+        targetWindow.navigator = { sendBeacon: stub().returns(false) };
+        transport = createHttpTransport({ url, window: targetWindow, send });
+
+        transport(new Error('first'), {}, stub(), [], report('first'));
+        targetWindow.emit('pagehide');
+        transport.dispose();
+
+        expect(send)
+            .to.have.been.calledOnce;
+        expect(JSON.parse(send.firstCall.args[0].body)[0].message)
+            .to.equal('first');
+    });
+
+    it('returns a promise that resolves once the batch holding the report has been sent', function () {
+        transport = createHttpTransport({ url, flushInterval: 10, window: null });
+
+        return transport(new Error('first'), {}, stub(), [], report('first'))
+            .then(function () {
+                expect(requests.length)
+                    .to.equal(1);
+            });
+    });
+
+    it('sends the report of an uncaught exception before global handlers exit the process', function () {
+        const notifier = createErrorCatchNotifier();
+        const targetProcess = new EventEmitter();
+        let requestCountAtExit = null;
+        targetProcess.exit = stub().callsFake(function () {
+            requestCountAtExit = requests.length;
+        });
+        transport = createHttpTransport({ url, window: null });
+        notifier.initErrorCatchNotifier([transport], true);
+        notifier.installGlobalHandlers({ process: targetProcess, window: null });
+
+        targetProcess.emit('uncaughtException', new Error('uncaught'));
+
+        return new Promise(resolve => setTimeout(resolve, 200))
+            .then(function () {
+                notifier.uninstallGlobalHandlers();
+
+                expect(targetProcess.exit)
+                    .to.have.been.calledWith(1);
+                expect(requestCountAtExit)
+                    .to.equal(1);
+                expect(requests[0].body[0].message)
+                    .to.equal('uncaught');
+            });
+    });
+
+    it('throws for batch and queue sizes that are not positive integers and negative flush intervals', function () {
+        expect(() => createHttpTransport({ url, batchSize: 0, window: null }))
+            .to.throw('batchSize must be a positive integer');
+        expect(() => createHttpTransport({ url, batchSize: 1.5, window: null }))
+            .to.throw('batchSize must be a positive integer');
+        expect(() => createHttpTransport({ url, maxQueueSize: -1, window: null }))
+            .to.throw('maxQueueSize must be a positive integer');
+        expect(() => createHttpTransport({ url, flushInterval: -10, window: null }))
+            .to.throw('flushInterval must be a non-negative number');
+        expect(() => createHttpTransport({ url, flushInterval: '100', window: null }))
+            .to.throw('flushInterval must be a non-negative number');
+    });
+
+    describe('sendWithNode', function () {
+        it('sends reports with Node\'s http module when passed as send', function () {
+            transport = createHttpTransport({ url, headers: { 'X-Api-Key': 'testKey' }, send: sendWithNode, window: null });
+
+            transport(new Error('first'), {}, stub(), [], report('first'));
+
+            return transport.flush()
+                .then(function () {
+                    expect(requests[0].headers['x-api-key'])
+                        .to.equal('testKey');
+                    expect(requests[0].body[0].message)
+                        .to.equal('first');
+                });
+        });
+
+        it('rejects with the status of responses outside 200-299', function () {
+            responseStatuses = [400];
+
+            return sendWithNode({ url, headers: {}, body: '[]' })
+                .then(function () {
+                    throw new Error('expected a rejection');
+                }, function (error) {
+                    expect(error.status)
+                        .to.equal(400);
+                });
+        });
+    });
+
+    describe('isRetryableRequestError', function () {
+        it('retries network errors, 429 and 5xx responses', function () {
+            expect(isRetryableRequestError(new Error('ECONNREFUSED')))
+                .to.be.true;
+            expect(isRetryableRequestError({ status: 429 }))
+                .to.be.true;
+            expect(isRetryableRequestError({ status: 502 }))
+                .to.be.true;
+            expect(isRetryableRequestError({ status: 400 }))
+                .to.be.false;
+        });
+    });
+});
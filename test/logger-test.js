@@ -0,0 +1,86 @@
+/* eslint-disable func-names */
+import { consoleLogger, createLogger } from '../src/logger';
+
+const chai = require('chai');
+const stub = require('sinon').stub;
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+chai.use(sinonChai);
+
+describe('logger', function () {
+    describe('createLogger', function () {
+        let logger;
+        let target;
+
+        beforeEach(function () {
+            logger = createLogger();
+            target = { debug: stub(), info: stub(), warn: stub(), error: stub() };
+        });
+
+        it('passes entries with their level, code, message, detail and data', function () {
+            logger.configure({ logger: target });
+            logger.log('warn', 'INVALID_MODE', 'Ignoring error mode: explode', { mode: 'explode', detail: 'reason' });
+
+            const entry = target.warn.firstCall.args[0];
+
+            expect(entry)
+                .to.include({ level: 'warn', code: 'INVALID_MODE', message: 'Ignoring error mode: explode', detail: 'reason' });
+            expect(entry.data)
+                .to.eql({ mode: 'explode' });
+            expect(entry.timestamp)
+                .to.be.a('string');
+        });
+
+        it('leaves detail out of entries that have none', function () {
+            logger.configure({ logger: target });
+            logger.log('debug', 'TEST', 'message');
+
+            expect(target.debug.firstCall.args[0])
+                .not.to.have.property('detail');
+        });
+
+        it('drops entries below the minimum level', function () {
+            logger.configure({ logger: target, level: 'error' });
+            logger.log('warn', 'TEST', 'message');
+            logger.log('error', 'TEST', 'message');
+
+            expect(target.warn)
+                .not.to.have.been.called;
+            expect(target.error)
+                .to.have.been.calledOnce;
+        });
+
+        it('skips missing logger methods and ignores loggers that throw', function () {
+            logger.configure({ logger: { error: stub().throws(new Error('broken')) } });
+
+            expect(() => logger.log('info', 'TEST', 'message'))
+                .not.to.throw();
+            expect(() => logger.log('error', 'TEST', 'message'))
+                .not.to.throw();
+        });
+
+        it('throws on unknown levels and keeps the previous settings', function () {
+            logger.configure({ logger: target, level: 'warn' });
+
+            expect(() => logger.configure({ level: 'verbose' }))
+                .to.throw('Unknown log level: verbose');
+            expect(logger.getOptions())
+                .to.eql({ logger: target, level: 'warn' });
+        });
+    });
+
+    describe('consoleLogger', function () {
+        it('logs the message, then the detail, with the console method of the level', function () {
+            const consoleLogStub = stub(console, 'log');
+
+            consoleLogger.info({ level: 'info', message: 'Error subscriber sent succeeded with', detail: 'data' });
+            consoleLogStub.restore();
+
+            expect(consoleLogStub.firstCall)
+                .to.have.been.calledWith('Error subscriber sent succeeded with');
+            expect(consoleLogStub.secondCall)
+                .to.have.been.calledWith('data');
+        });
+    });
+});
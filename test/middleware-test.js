@@ -0,0 +1,213 @@
+/* eslint-disable func-names */
+import {
+    createExpressErrorHandler,
+    createKoaMiddleware,
+    getDefaultErrorResponse,
+    getRequestContext,
+    wrapExpressHandler
+} from '../src/middleware';
+import { createErrorCatchNotifier } from '../src/error-catch-notifier';
+
+const chai = require('chai');
+const stub = require('sinon').stub;
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+chai.use(sinonChai);
+
+describe('middleware', function () {
+    let notifier;
+    let errorSubscriber;
+    let request;
+    let response;
+
+    beforeEach(function () {
+        notifier = createErrorCatchNotifier();
+        errorSubscriber = stub();
+        notifier.initErrorCatchNotifier([function (error, options) { errorSubscriber(error, options); }], true);
+        request = {
+            method: 'POST',
+            originalUrl: '/cart/items?id=1',
+            url: '/items?id=1',
+            headers: { 'x-request-id': 'request-1', 'user-agent': 'test', cookie: 'secret' }
+        };
+        response = { headersSent: false, setHeader: stub(), end: stub() };
+    });
+
+    describe('getRequestContext', function () {
+        it('gets the method, path, request id and selected headers', function () {
+            expect(getRequestContext(request, { headers: ['User-Agent', 'Accept'] }))
+                .to.eql({ method: 'POST', path: '/cart/items', requestId: 'request-1', headers: { 'user-agent': 'test' } });
+        });
+    });
+
+    describe('getDefaultErrorResponse', function () {
+        it('exposes the message of client errors only', function () {
+            const clientError = new Error('Not Found');
+            clientError.status = 404;
+
+            expect(getDefaultErrorResponse(clientError))
+                .to.eql({ status: 404, body: { error: 'Not Found' } });
+            expect(getDefaultErrorResponse(new Error('database password is wrong')))
+                .to.eql({ status: 500, body: { error: 'Internal Server Error' } });
+        });
+    });
+
+    describe('wrapExpressHandler', function () {
+        it('reports thrown errors with the request context and responds', function () {
+            const testError = new Error('testError');
+            const next = stub();
+            const handler = wrapExpressHandler(function () { throw testError; }, { notifier, tags: ['cart'] });
+
+            handler(request, response, next);
+
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError);
+            expect(errorSubscriber.firstCall.args[1])
+                .to.eql({
+                    tags: ['cart'],
+                    source: 'express',
+                    request: { method: 'POST', path: '/cart/items', requestId: 'request-1', headers: {} }
+                });
+            expect(response.statusCode)
+                .to.equal(500);
+            expect(response.end)
+                .to.have.been.calledWith('{"error":"Internal Server Error"}');
+            expect(next)
+                .not.to.have.been.called;
+        });
+
+        it('reports rejections and errors passed to next', function () {
+            const testError = new Error('testError');
+            const nextError = new Error('nextError');
+            const errorResponse = stub().returns({ status: 503, body: { retry: true } });
+
+            return new Promise(function (resolve) {
+                response.end = resolve;
+                wrapExpressHandler(() => Promise.reject(testError), { notifier, errorResponse })(request, response, stub());
+            })
+                .then(function (body) {
+                    expect(body)
+                        .to.equal('{"retry":true}');
+                    expect(response.statusCode)
+                        .to.equal(503);
+                    expect(errorResponse.firstCall.args[1].path)
+                        .to.equal('/cart/items');
+
+                    wrapExpressHandler((req, res, next) => next(nextError), { notifier })(request, response, stub());
+
+                    expect(errorSubscriber)
+                        .to.have.been.calledWith(nextError);
+                });
+        });
+
+        it('passes next calls without errors through', function () {
+            const next = stub();
+
+            wrapExpressHandler((req, res, handlerNext) => handlerNext('route'), { notifier })(request, response, next);
+
+            expect(next)
+                .to.have.been.calledWith('route');
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+        });
+
+        it('forwards errors to next while error catching is disabled', function () {
+            const testError = new Error('testError');
+            const next = stub();
+            notifier.disableErrorCatching();
+
+            wrapExpressHandler(function () { throw testError; }, { notifier })(request, response, next);
+
+            expect(next)
+                .to.have.been.calledWith(testError);
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+        });
+    });
+
+    describe('createExpressErrorHandler', function () {
+        it('reports errors once and forwards them when the response has started', function () {
+            const testError = new Error('testError');
+            const next = stub();
+            const errorHandler = createExpressErrorHandler({ notifier });
+            response.headersSent = true;
+
+            expect(errorHandler.length)
+                .to.equal(4);
+
+            errorHandler(testError, request, response, next);
+            errorHandler(testError, request, response, next);
+
+            expect(errorSubscriber)
+                .to.have.been.calledOnce;
+            expect(next)
+                .to.have.been.calledWith(testError);
+            expect(response.end)
+                .not.to.have.been.called;
+        });
+
+        it('reports a shared error once per request and notifier', function () {
+            const sharedError = new Error('Not Found');
+            const otherSubscriber = stub();
+            const otherNotifier = createErrorCatchNotifier();
+            otherNotifier.subscribe(otherSubscriber, { acceptsError: true });
+            otherNotifier.enableErrorCatching();
+
+            const errorHandler = createExpressErrorHandler({ notifier });
+            const otherErrorHandler = createExpressErrorHandler({ notifier: otherNotifier });
+
+            [1, 2, 3].forEach(function (id) {
+                const nextRequest = { ...request, headers: { 'x-request-id': `request-${id}` } };
+
+                errorHandler(sharedError, nextRequest, response, stub());
+                otherErrorHandler(sharedError, nextRequest, response, stub());
+            });
+
+            expect(errorSubscriber)
+                .to.have.been.calledThrice;
+            expect(otherSubscriber)
+                .to.have.been.calledThrice;
+        });
+    });
+
+    describe('createKoaMiddleware', function () {
+        let ctx;
+
+        beforeEach(function () {
+            ctx = { method: 'GET', originalUrl: '/cart?id=1', headers: { 'x-request-id': 'request-1' } };
+        });
+
+        it('reports errors thrown by later middleware and sets the response', function () {
+            const testError = new Error('Forbidden');
+            testError.status = 403;
+
+            return createKoaMiddleware({ notifier })(ctx, () => Promise.reject(testError))
+                .then(function () {
+                    expect(errorSubscriber.firstCall.args[1])
+                        .to.include({ source: 'koa' });
+                    expect(errorSubscriber.firstCall.args[1].request.path)
+                        .to.equal('/cart');
+                    expect(ctx.status)
+                        .to.equal(403);
+                    expect(ctx.body)
+                        .to.eql({ error: 'Forbidden' });
+                });
+        });
+
+        it('rethrows while error catching is disabled', function () {
+            const testError = new Error('testError');
+            notifier.disableErrorCatching();
+
+            return createKoaMiddleware({ notifier })(ctx, function () { throw testError; })
+                .then(function () {
+                    throw new Error('expected a rejection');
+                }, function (error) {
+                    expect(error)
+                        .to.equal(testError);
+                    expect(errorSubscriber)
+                        .not.to.have.been.called;
+                });
+        });
+    });
+});
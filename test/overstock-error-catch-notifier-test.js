@@ -1,25 +1,43 @@
 /* eslint-disable func-names */
 import {
+    addBreadcrumb,
     buildSubscriberList,
+    clearBreadcrumbs,
+    configureBreadcrumbs,
+    configureSourceMaps,
+    configureThrottle,
+    createErrorCatchNotifier,
     getArgumentNames,
+    getBreadcrumbs,
     getIsEnabled,
     getIsLoggingEnabled,
     isFunction,
+    isThenable,
     makeErrorSubscriberFailback,
-    notifyErrorSubscribers
+    notifyErrorSubscribers,
+    subscribe
 } from '../src/error-catch-notifier';
 
 import {
     disableErrorCatching,
     disableLogging,
+    disableTestMode,
     enableErrorCatching,
     enableLogging,
+    enableTestMode,
     initErrorCatchNotifier,
-    wrap
+    installGlobalHandlers,
+    uninstallGlobalHandlers,
+    wrap,
+    wrapClass,
+    wrapObject
 } from '../src/index';
 
+const EventEmitter = require('events').EventEmitter;
 const chai = require('chai');
-const stub = require('sinon').stub;
+const sinon = require('sinon');
+
+const stub = sinon.stub;
 const sinonChai = require('sinon-chai');
 
 const expect = chai.expect;
@@ -67,6 +85,24 @@ describe('error-catch-notifier', function () {
         });
     });
 
+    describe('isThenable', function () {
+        it('returns true when applied to a promise or an object with a then method', function () {
+            expect(isThenable(Promise.resolve()))
+                .to.eql(true);
+
+            expect(isThenable({ then() {} }))
+                .to.eql(true);
+        });
+
+        it('returns false when applied to a value without a then method', function () {
+            expect(isThenable({}))
+                .to.eql(false);
+
+            expect(isThenable(undefined))
+                .to.eql(false);
+        });
+    });
+
     describe('buildSubscriberList', function () {
         it('returns an array of error subscribers', function () {
             const errorSubscribers = [
@@ -78,7 +114,17 @@ describe('error-catch-notifier', function () {
                 .to.eql([errorSubscribers[0], errorSubscribers[1]]);
         });
 
-        it('filters error subscribers with first arguments not named error', function () {
+        it('accepts arrow functions and subscribers whose first argument is not named error', function () {
+            const errorSubscribers = [
+                err => err, // eslint-disable-line no-unused-vars
+                function errorSubscriber({ message }) {} // eslint-disable-line no-unused-vars
+            ];
+
+            expect(buildSubscriberList(errorSubscribers))
+                .to.eql([errorSubscribers[0], errorSubscribers[1]]);
+        });
+
+        it('filters error subscribers that do not accept arguments', function () {
             const errorSubscribers = [
                 function errorSubscriber(error) {}, // eslint-disable-line no-unused-vars
                 function badErrorSubscriber() {}
@@ -104,7 +150,7 @@ describe('error-catch-notifier', function () {
                 .to.have.been.calledWith('Skipping error subscriber: badErrorSubscriber');
 
             expect(consoleWarnStub)
-                .to.have.been.calledWith('First argument of subscriber function must be named error');
+                .to.have.been.calledWith('Subscriber function must accept an error as its first argument');
 
             consoleWarnStub.restore();
             disableLogging();
@@ -168,6 +214,32 @@ describe('error-catch-notifier', function () {
             expect(getIsLoggingEnabled())
                 .to.be.true;
         });
+
+        it('passes structured entries at or above the minimum level to the given logger', function () {
+            const notifier = createErrorCatchNotifier();
+            const logger = { info: stub(), warn: stub(), error: stub() };
+            const subscriberError = new Error('subscriberError');
+
+            notifier.initErrorCatchNotifier([], false, { logger, level: 'warn' });
+            notifier.subscribe(stub().throws(subscriberError), { name: 'throwingSubscriber', acceptsError: true });
+            notifier.buildSubscriberList([{}]);
+            notifier.notifyErrorSubscribers(new Error('testError'));
+            notifier.makeErrorSubscriberFailback('throwingSubscriber')(undefined, 'sent');
+
+            expect(logger.warn.firstCall.args[0])
+                .to.include({
+                    level: 'warn',
+                    code: 'SUBSCRIBER_NOT_FUNCTION',
+                    message: 'Skipping error subscriber: [object Object] at errorSubscribers index 0',
+                    detail: 'Subscriber is not a function'
+                });
+            expect(logger.error.firstCall.args[0])
+                .to.include({ code: 'SUBSCRIBER_THREW', detail: subscriberError });
+            expect(logger.error.firstCall.args[0].data)
+                .to.eql({ subscriberName: 'throwingSubscriber' });
+            expect(logger.info)
+                .not.to.have.been.called;
+        });
     });
 
     describe('disableLogging', function () {
@@ -329,6 +401,93 @@ describe('error-catch-notifier', function () {
             consoleErrorStub.restore();
         });
 
+        it('returns the aggregated error for subscriber lists that are not arrays while logging is disabled', function () {
+            const notifier = createErrorCatchNotifier();
+            const errorSubscriber = function errorSubscriber(error) { return error; };
+
+            [errorSubscriber, 'errorSubscriber'].forEach(function (errorSubscribers) {
+                const configError = notifier.initErrorCatchNotifier(errorSubscribers, true);
+
+                expect(configError.name)
+                    .to.equal('ConfigurationError');
+                expect(configError.problems)
+                    .to.eql([{ field: 'subscribers', message: 'subscribers must be an array of functions' }]);
+            });
+            expect(notifier.getIsEnabled())
+                .to.be.false;
+
+            notifier.configure({ strict: true });
+
+            expect(() => notifier.initErrorCatchNotifier(errorSubscriber, true))
+                .to.throw('subscribers must be an array of functions');
+        });
+
+        it('skips invalid logging options, applies the other arguments and reports the problem', function () {
+            const notifier = createErrorCatchNotifier();
+            const logger = { error: stub() };
+            const errorSubscriber = function errorSubscriber(error) { return error; };
+
+            notifier.initErrorCatchNotifier([], false, { logger });
+
+            const configError = notifier.initErrorCatchNotifier([errorSubscriber], true, { level: 'verbose' });
+
+            expect(configError.name)
+                .to.equal('ConfigurationError');
+            expect(configError.problems.map(problem => problem.message))
+                .to.eql(['logging.level must be one of debug, info, warn, error']);
+            expect(logger.error.firstCall.args[0])
+                .to.include({ code: 'INVALID_CONFIG', detail: configError });
+            expect(notifier.getConfig())
+                .to.include({ enabled: true })
+                .and.have.property('logging').that.eql({ logger, level: 'debug' });
+
+            notifier.configure({ strict: true });
+
+            expect(() => notifier.initErrorCatchNotifier([], false, { level: 'verbose' }))
+                .to.throw('logging.level must be one of debug, info, warn, error');
+            expect(notifier.getIsEnabled())
+                .to.be.true;
+        });
+
+        it('accepts a config object, applies its valid fields and reports every problem', function () {
+            const notifier = createErrorCatchNotifier();
+            const logger = { error: stub() };
+            const errorSubscriber = stub();
+
+            const configError = notifier.initErrorCatchNotifier({
+                subscribers: [function (error) { errorSubscriber(error); }],
+                enabled: true,
+                logging: { logger },
+                mode: 'explode',
+                throttle: { dedupeWindow: 'soon' }
+            });
+
+            expect(configError.name)
+                .to.equal('ConfigurationError');
+            expect(configError.problems.map(problem => problem.field))
+                .to.eql(['mode', 'throttle']);
+            expect(logger.error.firstCall.args[0])
+                .to.include({ code: 'INVALID_CONFIG', detail: configError });
+            expect(notifier.getIsEnabled())
+                .to.be.true;
+            expect(notifier.getMode())
+                .to.equal('swallow');
+
+            notifier.wrap(function () { throw new Error('testError'); })();
+
+            expect(errorSubscriber)
+                .to.have.been.calledOnce;
+        });
+
+        it('throws the aggregated error in strict mode without changing anything', function () {
+            const notifier = createErrorCatchNotifier();
+
+            expect(() => notifier.initErrorCatchNotifier({ strict: true, enabled: true, mode: 'rethrow' }))
+                .to.throw('enabled requires at least one subscriber');
+            expect(notifier.getConfig())
+                .to.include({ strict: false, mode: 'swallow' });
+        });
+
         afterEach(function () {
             if (consoleErrorStub) {
                 consoleErrorStub.restore();
@@ -336,6 +495,87 @@ describe('error-catch-notifier', function () {
         });
     });
 
+    describe('configure', function () {
+        it('changes only the given settings and getConfig reports them', function () {
+            const notifier = createErrorCatchNotifier();
+            const throttle = { dedupeWindow: 1000 };
+
+            notifier.initErrorCatchNotifier({ subscribers: [function errorSubscriber(error) { return error; }], enabled: true });
+
+            expect(notifier.configure({ mode: 'rethrow', throttle, strict: true }))
+                .to.be.null;
+            expect(() => notifier.configure({ breadcrumbs: { maxBreadcrumbs: -1 } }))
+                .to.throw('breadcrumbs.maxBreadcrumbs must be a non-negative integer');
+
+            expect(notifier.getConfig())
+                .to.eql({
+                    subscribers: [{ name: 'errorSubscriber', options: {} }],
+                    enabled: true,
+                    logging: false,
+                    mode: 'rethrow',
+                    throttle,
+                    breadcrumbs: { captureWrapCalls: true },
+                    redaction: null,
+                    sourceMaps: null,
+                    stats: {},
+                    strict: true,
+                    testMode: false
+                });
+
+            notifier.configure({ throttle: null });
+        });
+
+        it('subscribes entries with their options', function () {
+            const notifier = createErrorCatchNotifier();
+            const checkoutSubscriber = stub();
+            const otherSubscriber = stub();
+
+            expect(notifier.configure({
+                subscribers: [
+                    { subscriber: checkoutSubscriber, options: { name: 'checkout', tags: ['checkout'], acceptsError: true } },
+                    function errorSubscriber(error) { otherSubscriber(error); }
+                ],
+                enabled: true
+            }))
+                .to.be.null;
+            expect(notifier.getConfig().subscribers)
+                .to.eql([
+                    { name: 'checkout', options: { name: 'checkout', tags: ['checkout'], acceptsError: true } },
+                    { name: 'errorSubscriber', options: {} }
+                ]);
+
+            notifier.notifyErrorSubscribers(new Error('testError'), { tags: ['search'] });
+
+            expect(checkoutSubscriber)
+                .not.to.have.been.called;
+            expect(otherSubscriber)
+                .to.have.been.calledOnce;
+        });
+
+        it('replaces subscribers added with subscribe but keeps the test mode recorder', function () {
+            const notifier = createErrorCatchNotifier();
+            const errorSubscriber = function errorSubscriber(error) { return error; };
+            const unsubscribe = notifier.subscribe(stub(), { name: 'runtime', acceptsError: true });
+            const recorder = notifier.enableTestMode();
+
+            notifier.configure({ subscribers: [errorSubscriber] });
+
+            expect(notifier.getConfig().subscribers.map(subscription => subscription.name))
+                .to.eql(['errorSubscriber', 'errorRecorder']);
+            expect(unsubscribe())
+                .to.be.false;
+            expect(() => notifier.wrap(function () { throw new Error('testError'); })())
+                .to.throw('testError');
+            expect(recorder.getCapturedErrors())
+                .to.have.length(1);
+
+            notifier.disableTestMode();
+
+            expect(notifier.getConfig().subscribers.map(subscription => subscription.name))
+                .to.eql(['errorSubscriber']);
+        });
+    });
+
     describe('makeErrorSubscriberFailback', function () {
         beforeEach(function () {
             const errorSubscribers = [
@@ -397,6 +637,118 @@ describe('error-catch-notifier', function () {
         });
     });
 
+    describe('subscribe', function () {
+        it('adds an error subscriber without re-running init', function () {
+            const initErrorSubscriber = stub();
+            const errorSubscriber = stub();
+            const testError = new Error('testError');
+
+            initErrorCatchNotifier([function (error) { initErrorSubscriber(error); }], false, false);
+
+            const unsubscribe = subscribe(errorSubscriber, { acceptsError: true });
+            notifyErrorSubscribers(testError);
+            unsubscribe();
+
+            expect(initErrorSubscriber)
+                .to.have.been.calledWith(testError);
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError);
+        });
+
+        it('returns an unsubscribe function that removes the error subscriber', function () {
+            const errorSubscriber = stub();
+
+            initErrorCatchNotifier(undefined, false, false);
+
+            const unsubscribe = subscribe(error => errorSubscriber(error));
+
+            expect(unsubscribe())
+                .to.be.true;
+            expect(unsubscribe())
+                .to.be.false;
+
+            notifyErrorSubscribers(new Error('testError'));
+
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+        });
+
+        it('skips subscribers that do not accept arguments unless acceptsError is set', function () {
+            const consoleWarnStub = stub(console, 'warn');
+            const errorSubscriber = stub();
+
+            initErrorCatchNotifier(undefined, false, true);
+
+            const unsubscribe = subscribe(function badErrorSubscriber() { errorSubscriber(); });
+            notifyErrorSubscribers(new Error('testError'));
+
+            expect(unsubscribe())
+                .to.be.false;
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+            expect(consoleWarnStub)
+                .to.have.been.calledWith('Skipping error subscriber: badErrorSubscriber');
+
+            consoleWarnStub.restore();
+            disableLogging();
+        });
+
+        it('routes errors by severity, tags and filter', function () {
+            const pagerSubscriber = stub();
+            const consoleSubscriber = stub();
+            const testError = new Error('testError');
+
+            initErrorCatchNotifier(undefined, false, false);
+
+            const unsubscribePager = subscribe(pagerSubscriber, { acceptsError: true, minSeverity: 'fatal', tags: ['checkout'] });
+            const unsubscribeConsole = subscribe(consoleSubscriber, { acceptsError: true, filter: error => error !== testError });
+            enableErrorCatching();
+
+            wrap(function () { throw testError; }, { severity: 'fatal', tags: ['checkout'] })();
+            notifyErrorSubscribers(new Error('otherError'), { severity: 'fatal' });
+            unsubscribePager();
+            unsubscribeConsole();
+            disableErrorCatching();
+
+            expect(pagerSubscriber)
+                .to.have.been.calledOnce;
+            expect(pagerSubscriber.firstCall.args[4])
+                .to.include({ severity: 'fatal' });
+            expect(consoleSubscriber)
+                .to.have.been.calledOnce;
+            expect(consoleSubscriber.firstCall.args[0].message)
+                .to.equal('otherError');
+        });
+
+        it('uses the name option in place of the function name', function () {
+            const consoleErrorStub = stub(console, 'error');
+
+            initErrorCatchNotifier(undefined, false, true);
+
+            const unsubscribe = subscribe(function (error, options, failback) {
+                failback('subscriberError');
+            }, { name: 'namedSubscriber' });
+            notifyErrorSubscribers(new Error('testError'));
+            unsubscribe();
+
+            expect(consoleErrorStub)
+                .to.have.been.calledWith('Error subscriber namedSubscriber failed with error');
+
+            consoleErrorStub.restore();
+            disableLogging();
+        });
+
+        afterEach(function () {
+            if (console.warn.restore) {
+                console.warn.restore();
+            }
+
+            if (console.error.restore) {
+                console.error.restore();
+            }
+        });
+    });
+
     describe('notifyErrorSubscribers', function () {
         it('calls all error subscribers with the error and an errorSubscriberFailback', function () {
             let resultError;
@@ -415,6 +767,137 @@ describe('error-catch-notifier', function () {
             expect(resultError)
                 .to.equal(testError);
         });
+
+        it('resolves with the delivery result of each subscriber', function () {
+            const consoleErrorStub = stub(console, 'error');
+            const subscriberError = new Error('subscriberError');
+            initErrorCatchNotifier([function fulfilledSubscriber(error) { return Promise.resolve(error.message); }], false, true);
+            subscribe(stub().returns(Promise.reject(subscriberError)), { name: 'rejectedSubscriber', acceptsError: true });
+            subscribe(stub().throws(subscriberError), { name: 'throwingSubscriber', acceptsError: true });
+            subscribe(stub().returns('sent'), { name: 'syncSubscriber', acceptsError: true });
+            subscribe(stub().returns(new Promise(function () {})), { name: 'timedOutSubscriber', acceptsError: true, timeout: 10 });
+
+            return notifyErrorSubscribers(new Error('testError'))
+                .then(function (results) {
+                    expect(results.map(result => [result.name, result.status]))
+                        .to.eql([
+                            ['fulfilledSubscriber', 'fulfilled'],
+                            ['rejectedSubscriber', 'rejected'],
+                            ['throwingSubscriber', 'rejected'],
+                            ['syncSubscriber', 'fulfilled'],
+                            ['timedOutSubscriber', 'timedOut']
+                        ]);
+                    expect(results[0].value)
+                        .to.equal('testError');
+                    expect(results[1].reason)
+                        .to.equal(subscriberError);
+                    expect(results[4].reason.name)
+                        .to.equal('TimeoutError');
+                    expect(consoleErrorStub)
+                        .to.have.been.calledWith('Error subscriber rejectedSubscriber failed with error');
+                    expect(consoleErrorStub)
+                        .to.have.been.calledWith('Error subscriber timedOutSubscriber failed with error');
+
+                    consoleErrorStub.restore();
+                    disableLogging();
+                }, function (error) {
+                    consoleErrorStub.restore();
+                    disableLogging();
+                    throw error;
+                });
+        });
+    });
+
+    describe('configureRedaction', function () {
+        it('passes redacted copies to subscribers that have not opted out', function () {
+            const notifier = createErrorCatchNotifier();
+            const redactedSubscriber = stub();
+            const trustedSubscriber = stub();
+            const testError = new Error('No account for jane@example.com');
+
+            notifier.subscribe(redactedSubscriber, { acceptsError: true });
+            notifier.subscribe(trustedSubscriber, { acceptsError: true, redact: false });
+            notifier.configureRedaction(true);
+            notifier.notifyErrorSubscribers(testError, { password: 'hunter2' });
+
+            const [redactedError, redactedOptions, , , redactedReport] = redactedSubscriber.firstCall.args;
+
+            expect(redactedError.message)
+                .to.equal('No account for [REDACTED]');
+            expect(redactedOptions)
+                .to.eql({ password: '[REDACTED]' });
+            expect(redactedReport.message)
+                .to.equal('No account for [REDACTED]');
+            expect(redactedReport.options)
+                .to.eql({ password: '[REDACTED]' });
+            expect(trustedSubscriber)
+                .to.have.been.calledWith(testError, { password: 'hunter2' });
+
+            notifier.configureRedaction();
+            notifier.notifyErrorSubscribers(testError);
+
+            expect(redactedSubscriber.secondCall.args[0])
+                .to.equal(testError);
+        });
+    });
+
+    describe('configureThrottle', function () {
+        let clock;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers();
+        });
+
+        it('suppresses repeated errors and delivers the suppressed count when the window closes', function () {
+            const errorSubscriber = stub();
+            const testOptions = { name: 'render' };
+            const errorFunction = wrap(function render() {
+                throw new Error('testError');
+            }, testOptions);
+
+            initErrorCatchNotifier([function (error, options) { errorSubscriber(error, options); }], true, false);
+            configureThrottle({ dedupeWindow: 1000 });
+
+            errorFunction();
+            errorFunction();
+            errorFunction();
+
+            expect(errorSubscriber)
+                .to.have.been.calledOnce;
+            expect(errorSubscriber.firstCall.args[1])
+                .to.equal(testOptions);
+
+            clock.tick(1000);
+
+            expect(errorSubscriber)
+                .to.have.been.calledTwice;
+            expect(errorSubscriber.secondCall.args[1].name)
+                .to.equal('render');
+            expect(errorSubscriber.secondCall.args[1].suppressedCount)
+                .to.equal(2);
+            expect(errorSubscriber.secondCall.args[1].fingerprint)
+                .to.be.a('string');
+        });
+
+        it('stops throttling when called without options', function () {
+            const errorSubscriber = stub();
+            const testError = new Error('testError');
+
+            initErrorCatchNotifier([function (error) { errorSubscriber(error); }], false, false);
+            configureThrottle({ dedupeWindow: 1000 });
+            configureThrottle();
+
+            notifyErrorSubscribers(testError);
+            notifyErrorSubscribers(testError);
+
+            expect(errorSubscriber)
+                .to.have.been.calledTwice;
+        });
+
+        afterEach(function () {
+            configureThrottle();
+            clock.restore();
+        });
     });
 
     describe('wrap', function () {
@@ -442,5 +925,683 @@ describe('error-catch-notifier', function () {
             expect(wrapped.displayName)
                 .to.equal('errorCatchNotifierWrap(testFunction)');
         });
+
+        it('passes rejections of a returned promise to error subscribers and resolves to undefined', function () {
+            let resultError;
+            let resultOptions;
+            const errorSubscribers = [
+                function (error, options) {
+                    resultError = error;
+                    resultOptions = options;
+                }
+            ];
+
+            const testError = new Error('testError');
+            const testOptions = { name: 'testOptions' };
+
+            const rejectingFunction = function testFunction() {
+                return Promise.reject(testError);
+            };
+
+            initErrorCatchNotifier(errorSubscribers, true, false);
+
+            return wrap(rejectingFunction, testOptions)()
+                .then(function (value) {
+                    expect(value)
+                        .to.be.undefined;
+                    expect(resultError)
+                        .to.equal(testError);
+                    expect(resultOptions)
+                        .to.equal(testOptions);
+                });
+        });
+
+        it('resolves with the value of a returned promise that fulfills', function () {
+            const resolvingFunction = function testFunction() {
+                return Promise.resolve('testValue');
+            };
+
+            initErrorCatchNotifier([function (error) {}], true, false); // eslint-disable-line no-unused-vars
+
+            return wrap(resolvingFunction)()
+                .then(function (value) {
+                    expect(value)
+                        .to.equal('testValue');
+                });
+        });
+
+        it('passes rejections through when error catching is disabled', function () {
+            const errorSubscriber = stub();
+            const testError = new Error('testError');
+
+            const rejectingFunction = function testFunction() {
+                return Promise.reject(testError);
+            };
+
+            initErrorCatchNotifier([function (error) { errorSubscriber(error); }], false, false);
+
+            return wrap(rejectingFunction)()
+                .then(function () {
+                    throw new Error('expected rejection');
+                }, function (error) {
+                    expect(error)
+                        .to.equal(testError);
+                    expect(errorSubscriber)
+                        .not.to.have.been.called;
+                });
+        });
+    });
+
+    describe('error reports', function () {
+        it('passes a normalized report to subscribers', function () {
+            const errorSubscriber = stub();
+            const testError = new Error('testError');
+            const testOptions = { name: 'testOptions' };
+
+            initErrorCatchNotifier([function (error, options, failback, breadcrumbs, report) { errorSubscriber(report); }], true, false);
+
+            wrap(function testFunction() {
+                throw testError;
+            }, testOptions)();
+
+            const report = errorSubscriber.firstCall.args[0];
+
+            expect(report)
+                .to.include({ name: 'Error', message: 'testError', functionName: 'testFunction', source: 'wrap', options: testOptions });
+            expect(report.fingerprint)
+                .to.be.a('string');
+        });
+
+        it('adds original source positions to report frames when source maps are configured', function () {
+            const errorSubscriber = stub();
+            const testError = new Error('testError');
+            testError.stack = 'Error: testError\n    at render (http://localhost/app.js:1:1)';
+
+            initErrorCatchNotifier([function (error, options, failback, breadcrumbs, report) { errorSubscriber(report); }], false, false);
+            configureSourceMaps({ sourceMaps: { 'http://localhost/app.js': { version: 3, sources: ['cart.js'], names: [], mappings: 'AAAA' } } });
+
+            notifyErrorSubscribers(testError);
+            configureSourceMaps();
+
+            expect(errorSubscriber.firstCall.args[0].frames[0])
+                .to.include({ functionName: 'render', fileName: 'http://localhost/app.js' });
+            expect(errorSubscriber.firstCall.args[0].frames[0].original)
+                .to.eql({ fileName: 'cart.js', lineNumber: 1, columnNumber: 1, functionName: undefined });
+        });
+
+        it('marks errors passed to notifyErrorSubscribers directly', function () {
+            const errorSubscriber = stub();
+
+            initErrorCatchNotifier([function (error, options, failback, breadcrumbs, report) { errorSubscriber(report); }], false, false);
+
+            notifyErrorSubscribers('testError');
+
+            expect(errorSubscriber.firstCall.args[0])
+                .to.include({ name: 'string', message: 'testError', source: 'notifyErrorSubscribers' });
+        });
+    });
+
+    describe('wrap fallback', function () {
+        const testError = new Error('testError');
+
+        beforeEach(function () {
+            initErrorCatchNotifier([function (error) {}], true, false); // eslint-disable-line no-unused-vars
+        });
+
+        it('returns a static fallback value when an error is caught', function () {
+            const wrapped = wrap(function testFunction() {
+                throw testError;
+            }, { fallback: [] });
+
+            expect(wrapped())
+                .to.eql([]);
+        });
+
+        it('returns the result of a fallback function called with the error and arguments', function () {
+            const fallback = stub().returns('fallbackValue');
+
+            const wrapped = wrap(function testFunction() {
+                throw testError;
+            }, { fallback });
+
+            expect(wrapped('argument1', 'argument2'))
+                .to.equal('fallbackValue');
+            expect(fallback)
+                .to.have.been.calledWith(testError, ['argument1', 'argument2']);
+        });
+
+        it('resolves to the fallback when a returned promise rejects', function () {
+            const wrapped = wrap(function testFunction() {
+                return Promise.reject(testError);
+            }, { fallback: error => error.message });
+
+            return wrapped()
+                .then(function (value) {
+                    expect(value)
+                        .to.equal('testError');
+                });
+        });
+
+        it('does not use the fallback when error catching is disabled', function () {
+            disableErrorCatching();
+
+            const wrapped = wrap(function testFunction() {
+                throw testError;
+            }, { fallback: 'fallbackValue' });
+
+            expect(wrapped)
+                .to.throw(testError);
+        });
+    });
+
+    describe('wrap retry', function () {
+        let errorSubscriber;
+
+        beforeEach(function () {
+            errorSubscriber = stub();
+            initErrorCatchNotifier([function (error, options) { errorSubscriber(error, options); }], true, false);
+        });
+
+        it('retries the target function and reports only the final failure', function () {
+            const finalError = new Error('final');
+            const targetFunction = stub();
+            targetFunction.onFirstCall().throws(new Error('first'));
+            targetFunction.onSecondCall().throws(new Error('second'));
+            targetFunction.onThirdCall().throws(finalError);
+
+            wrap(targetFunction, { retry: { attempts: 3 }, name: 'testOptions' })();
+
+            expect(targetFunction)
+                .to.have.been.calledThrice;
+            expect(errorSubscriber)
+                .to.have.been.calledOnce;
+            expect(errorSubscriber.firstCall.args[0])
+                .to.equal(finalError);
+            expect(errorSubscriber.firstCall.args[1].name)
+                .to.equal('testOptions');
+            expect(errorSubscriber.firstCall.args[1].retryAttempts)
+                .to.equal(3);
+            expect(errorSubscriber.firstCall.args[1].retryErrors.map(error => error.message))
+                .to.eql(['first', 'second']);
+        });
+
+        it('does not report errors when a retry succeeds', function () {
+            const targetFunction = stub();
+            targetFunction.onFirstCall().returns(Promise.reject(new Error('first')));
+            targetFunction.onSecondCall().returns(Promise.resolve('testValue'));
+
+            return wrap(targetFunction, { retry: { backoff: { delay: 1 } } })()
+                .then(function (value) {
+                    expect(value)
+                        .to.equal('testValue');
+                    expect(errorSubscriber)
+                        .not.to.have.been.called;
+                });
+        });
+
+        it('reports the final rejection with the attempt count when retries are used up', function () {
+            const targetFunction = stub().returns(Promise.reject(new Error('rejected')));
+
+            return wrap(targetFunction, { retry: { attempts: 2, backoff: { delay: 1 } }, fallback: 'fallbackValue' })()
+                .then(function (value) {
+                    expect(value)
+                        .to.equal('fallbackValue');
+                    expect(targetFunction)
+                        .to.have.been.calledTwice;
+                    expect(errorSubscriber.firstCall.args[1].retryAttempts)
+                        .to.equal(2);
+                });
+        });
+    });
+
+    describe('wrap mode', function () {
+        let notifier;
+        let errorSubscriber;
+
+        beforeEach(function () {
+            notifier = createErrorCatchNotifier();
+            errorSubscriber = stub();
+            notifier.initErrorCatchNotifier([function (error) { errorSubscriber(error); }], true);
+        });
+
+        it('reports and rethrows errors in rethrow mode', function () {
+            const testError = new Error('testError');
+
+            expect(notifier.wrap(function () { throw testError; }, { mode: 'rethrow', fallback: 'fallback' }))
+                .to.throw(testError);
+            expect(errorSubscriber)
+                .to.have.been.calledOnce;
+        });
+
+        it('neither catches nor reports errors in passthrough mode', function () {
+            const testError = new Error('testError');
+            notifier.setMode('passthrough');
+
+            expect(notifier.wrap(function () { throw testError; }))
+                .to.throw(testError);
+            expect(notifier.wrap(function () { throw testError; }, { mode: 'swallow' })())
+                .to.be.undefined;
+            expect(errorSubscriber)
+                .to.have.been.calledOnce;
+        });
+
+        it('applies the mode to async rejections', function () {
+            const testError = new Error('testError');
+            notifier.setMode('rethrow');
+
+            return notifier.wrap(() => Promise.reject(testError))()
+                .then(function () {
+                    throw new Error('expected a rejection');
+                }, function (error) {
+                    expect(error)
+                        .to.equal(testError);
+                    expect(errorSubscriber)
+                        .to.have.been.calledOnce;
+                });
+        });
+
+        it('does not report an error again when nested wrapped functions rethrow it', function () {
+            const testError = new Error('testError');
+            const inner = notifier.wrap(function inner() { throw testError; }, { mode: 'rethrow' });
+            const middle = notifier.wrap(function middle() { return inner(); }, { mode: 'rethrow' });
+            const outer = notifier.wrap(function outer() { return middle(); }, { fallback: 'fallback' });
+
+            expect(outer())
+                .to.equal('fallback');
+            expect(errorSubscriber)
+                .to.have.been.calledOnce;
+            expect(notifier.getStats().functions.outer.caughtErrors)
+                .to.equal(0);
+        });
+
+        it('reports an error again when separate calls rethrow it', function () {
+            const testError = new Error('testError');
+            const wrappedFunction = notifier.wrap(function () { throw testError; });
+            notifier.setMode('rethrow');
+
+            [1, 2, 3].forEach(function () {
+                expect(wrappedFunction)
+                    .to.throw(testError);
+            });
+            expect(errorSubscriber)
+                .to.have.been.calledThrice;
+        });
+
+        it('does not report a rejection again when the nested wrapped function is called after an await', function () {
+            const testError = new Error('testError');
+            const inner = notifier.wrap(function inner() { return Promise.reject(testError); }, { mode: 'rethrow' });
+            const outer = notifier.wrap(function outer() { return Promise.resolve().then(() => inner()); }, { mode: 'rethrow' });
+
+            return outer()
+                .then(function () {
+                    throw new Error('expected a rejection');
+                }, function (error) {
+                    expect(error)
+                        .to.equal(testError);
+                    expect(errorSubscriber)
+                        .to.have.been.calledOnce;
+                });
+        });
+
+        it('does not report a rejection again when nested wrapped async functions rethrow it', function () {
+            const testError = new Error('testError');
+            const inner = notifier.wrap(function inner() { return Promise.reject(testError); }, { mode: 'rethrow' });
+            const outer = notifier.wrap(function outer() { return inner(); }, { fallback: 'fallback' });
+
+            return outer()
+                .then(function (value) {
+                    expect(value)
+                        .to.equal('fallback');
+                    expect(errorSubscriber)
+                        .to.have.been.calledOnce;
+                });
+        });
+
+        it('does not report errors rethrown by wrapped functions again from global handlers', function () {
+            const testError = new Error('testError');
+            const targetProcess = new EventEmitter();
+            targetProcess.exit = stub();
+            notifier.setMode('rethrow');
+            notifier.installGlobalHandlers({ process: targetProcess, window: null });
+
+            try {
+                notifier.wrap(function () { throw testError; })();
+            } catch (error) {
+                targetProcess.emit('uncaughtException', error);
+            }
+
+            targetProcess.emit('uncaughtException', testError);
+            notifier.uninstallGlobalHandlers();
+
+            expect(errorSubscriber)
+                .to.have.been.calledTwice;
+        });
+
+        it('ignores invalid modes', function () {
+            notifier.setMode('explode');
+
+            expect(notifier.getMode())
+                .to.equal('swallow');
+            expect(notifier.wrap(function () { throw new Error('testError'); }, { mode: 'explode' })())
+                .to.be.undefined;
+        });
+    });
+
+    describe('wrap captureArgs', function () {
+        let notifier;
+        let errorSubscriber;
+
+        beforeEach(function () {
+            notifier = createErrorCatchNotifier();
+            errorSubscriber = stub();
+            notifier.subscribe(errorSubscriber, { acceptsError: true });
+            notifier.enableErrorCatching();
+        });
+
+        it('adds snapshots of the arguments and selected properties of this to the report', function () {
+            const cart = { id: 'cart-1', items: [{ sku: 'A1' }], session: { token: 'secret' } };
+            cart.checkout = notifier.wrap(function checkout(address) {
+                throw new Error(`Cannot ship to ${address.country}`);
+            }, { captureArgs: { thisProperties: ['id', 'items'] } });
+
+            cart.checkout({ country: 'AQ' }, function onDone() {});
+
+            expect(errorSubscriber.firstCall.args[4].call)
+                .to.eql({
+                    args: [{ country: 'AQ' }, '[Function onDone]'],
+                    this: { id: 'cart-1', items: [{ sku: 'A1' }] }
+                });
+        });
+
+        it('snapshots the arguments when the call starts, before async functions change them', function () {
+            const order = { status: 'new' };
+
+            return notifier.wrap(function submitOrder(target) {
+                target.status = 'failed'; // eslint-disable-line no-param-reassign
+
+                return Promise.reject(new Error('testError'));
+            }, { captureArgs: true })(order)
+                .then(function () {
+                    expect(errorSubscriber.firstCall.args[4].call.args)
+                        .to.eql([{ status: 'new' }]);
+                });
+        });
+
+        it('leaves call out of the report unless captureArgs is given', function () {
+            notifier.wrap(function () { throw new Error('testError'); })('argument');
+
+            expect(errorSubscriber.firstCall.args[4])
+                .not.to.have.property('call');
+        });
+    });
+
+    describe('breadcrumbs', function () {
+        let errorSubscriber;
+
+        beforeEach(function () {
+            errorSubscriber = stub();
+            clearBreadcrumbs();
+            initErrorCatchNotifier([function (error, options, failback, breadcrumbs) { errorSubscriber(breadcrumbs); }], true, false);
+        });
+
+        it('passes breadcrumbs to subscribers', function () {
+            addBreadcrumb({ category: 'navigation', message: '/checkout', data: { step: 1 } });
+
+            notifyErrorSubscribers(new Error('testError'));
+
+            const breadcrumbs = errorSubscriber.firstCall.args[0];
+
+            expect(breadcrumbs.length)
+                .to.equal(1);
+            expect(breadcrumbs[0].category)
+                .to.equal('navigation');
+            expect(breadcrumbs[0].message)
+                .to.equal('/checkout');
+            expect(breadcrumbs[0].data)
+                .to.eql({ step: 1 });
+        });
+
+        it('adds a breadcrumb for each wrapped function call', function () {
+            wrap(function loadCart() {})();
+            wrap(function renderCart() {
+                throw new Error('testError');
+            })();
+
+            expect(errorSubscriber.firstCall.args[0].map(breadcrumb => `${breadcrumb.category}:${breadcrumb.message}`))
+                .to.eql(['wrap:loadCart', 'wrap:renderCart']);
+        });
+
+        it('keeps only maxBreadcrumbs and can stop capturing wrapped function calls', function () {
+            configureBreadcrumbs({ maxBreadcrumbs: 2, captureWrapCalls: false });
+
+            addBreadcrumb({ message: '1' });
+            addBreadcrumb({ message: '2' });
+            addBreadcrumb({ message: '3' });
+            wrap(function loadCart() {})();
+
+            expect(getBreadcrumbs().map(breadcrumb => breadcrumb.message))
+                .to.eql(['2', '3']);
+        });
+
+        afterEach(function () {
+            configureBreadcrumbs();
+            clearBreadcrumbs();
+        });
+    });
+
+    describe('installGlobalHandlers', function () {
+        it('passes uncaught exceptions to error subscribers until uninstalled', function () {
+            const errorSubscriber = stub();
+            const testError = new Error('testError');
+            const targetProcess = new EventEmitter();
+
+            initErrorCatchNotifier([function (error, options) { errorSubscriber(error, options); }], true, false);
+
+            expect(installGlobalHandlers({ process: targetProcess, window: null }))
+                .to.be.true;
+
+            targetProcess.emit('uncaughtException', testError);
+
+            expect(uninstallGlobalHandlers())
+                .to.be.true;
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError, { source: 'uncaughtException' });
+            expect(targetProcess.listenerCount('uncaughtException'))
+                .to.equal(0);
+        });
+
+        it('listens to the process only while error catching is enabled', function () {
+            const notifier = createErrorCatchNotifier();
+            const targetProcess = new EventEmitter();
+            notifier.subscribe(stub(), { acceptsError: true });
+            notifier.installGlobalHandlers({ process: targetProcess, window: null });
+
+            expect(targetProcess.listenerCount('uncaughtException'))
+                .to.equal(0);
+
+            notifier.enableErrorCatching();
+
+            expect(targetProcess.listenerCount('uncaughtException'))
+                .to.equal(1);
+
+            notifier.disableErrorCatching();
+
+            expect(targetProcess.listenerCount('unhandledRejection'))
+                .to.equal(0);
+
+            notifier.uninstallGlobalHandlers();
+        });
+    });
+
+    describe('wrapObject and wrapClass', function () {
+        let errorSubscriber;
+        const testError = new Error('testError');
+
+        beforeEach(function () {
+            errorSubscriber = stub();
+            initErrorCatchNotifier([function (error, options) { errorSubscriber(error, options); }], true, false);
+        });
+
+        it('reports errors from object methods with the method name', function () {
+            const service = wrapObject({
+                load() {
+                    throw testError;
+                }
+            }, { fallback: 'fallbackValue' });
+
+            expect(service.load())
+                .to.equal('fallbackValue');
+            expect(service.load.displayName)
+                .to.equal('errorCatchNotifierWrap(load)');
+            expect(errorSubscriber.firstCall.args[1].methodName)
+                .to.equal('load');
+        });
+
+        it('reports errors from class methods with the class and method names', function () {
+            class Cart {
+                total() { // eslint-disable-line class-methods-use-this
+                    throw testError;
+                }
+            }
+
+            wrapClass(Cart);
+            new Cart().total();
+
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError, { className: 'Cart', methodName: 'total' });
+        });
+    });
+
+    describe('getStats', function () {
+        it('counts calls and caught errors of wrapped functions and subscriber deliveries', function () {
+            const notifier = createErrorCatchNotifier();
+            notifier.initErrorCatchNotifier([function collector(error) { throw error; }], true);
+
+            const loadCart = notifier.wrap(function loadCart(fail) {
+                if (fail) {
+                    throw new Error('testError');
+                }
+            });
+
+            loadCart(false);
+            loadCart(true);
+
+            const stats = notifier.getStats();
+
+            expect(stats.functions.loadCart)
+                .to.include({ invocations: 2, caughtErrors: 1 });
+            expect(stats.subscribers)
+                .to.eql({ collector: { deliveries: 1, failures: 1, timeouts: 0 } });
+
+            notifier.resetStats();
+
+            expect(notifier.getStats().functions)
+                .to.eql({});
+        });
+    });
+
+    describe('test mode', function () {
+        afterEach(function () {
+            disableTestMode();
+        });
+
+        it('records errors and rethrows them from wrapped functions', function () {
+            const testError = new Error('testError');
+
+            initErrorCatchNotifier(undefined, false, false);
+            const recorder = enableTestMode();
+
+            expect(getIsEnabled())
+                .to.be.true;
+            expect(wrap(function () { throw testError; }, { fallback: 'fallback' }))
+                .to.throw(testError);
+            expect(recorder.expectErrorReported(testError).report.source)
+                .to.equal('wrap');
+            expect(enableTestMode())
+                .to.equal(recorder);
+
+            disableTestMode();
+
+            expect(getIsEnabled())
+                .to.be.false;
+
+            notifyErrorSubscribers(new Error('afterTestMode'));
+
+            expect(recorder.getCapturedErrors().length)
+                .to.equal(1);
+        });
+
+        it('records the original errors while redaction is on', function () {
+            const notifier = createErrorCatchNotifier();
+            const testError = new Error('No account for jane.doe@example.com');
+            const recorder = notifier.enableTestMode();
+            notifier.configureRedaction(true);
+
+            expect(notifier.wrap(function () { throw testError; }))
+                .to.throw(testError);
+            expect(recorder.expectErrorReported(testError).error.message)
+                .to.equal('No account for jane.doe@example.com');
+        });
+
+        it('rejects with errors of wrapped async functions', function () {
+            const testError = new Error('testError');
+
+            initErrorCatchNotifier(undefined, false, false);
+            const recorder = enableTestMode();
+
+            return wrap(() => Promise.reject(testError))()
+                .then(function () {
+                    throw new Error('expected a rejection');
+                }, function (error) {
+                    expect(error)
+                        .to.equal(testError);
+                    expect(recorder.getCapturedErrors()[0].error)
+                        .to.equal(testError);
+                });
+        });
+    });
+
+    describe('createErrorCatchNotifier', function () {
+        it('returns notifiers that do not share subscribers or flags', function () {
+            const firstErrorSubscriber = stub();
+            const secondErrorSubscriber = stub();
+            const testError = new Error('testError');
+
+            const firstNotifier = createErrorCatchNotifier();
+            const secondNotifier = createErrorCatchNotifier();
+
+            firstNotifier.initErrorCatchNotifier([function (error) { firstErrorSubscriber(error); }], true, false);
+            secondNotifier.initErrorCatchNotifier([function (error) { secondErrorSubscriber(error); }], false, true);
+
+            expect(firstNotifier.getIsEnabled())
+                .to.be.true;
+            expect(firstNotifier.getIsLoggingEnabled())
+                .to.be.false;
+            expect(secondNotifier.getIsEnabled())
+                .to.be.false;
+            expect(secondNotifier.getIsLoggingEnabled())
+                .to.be.true;
+
+            firstNotifier.wrap(function testFunction() {
+                throw testError;
+            })();
+
+            expect(firstErrorSubscriber)
+                .to.have.been.calledWith(testError);
+            expect(secondErrorSubscriber)
+                .not.to.have.been.called;
+        });
+
+        it('does not change the state of the top level exports', function () {
+            initErrorCatchNotifier([function (error) {}], false, false); // eslint-disable-line no-unused-vars
+
+            const notifier = createErrorCatchNotifier();
+            notifier.initErrorCatchNotifier([function (error) {}], true, true); // eslint-disable-line no-unused-vars
+
+            expect(getIsEnabled())
+                .to.be.false;
+            expect(getIsLoggingEnabled())
+                .to.be.false;
+        });
     });
 });
@@ -0,0 +1,149 @@
+/* eslint-disable func-names */
+import { ErrorCatchBoundary, withErrorCatchNotifier } from '../src/react';
+import { createErrorCatchNotifier } from '../src/error-catch-notifier';
+
+const React = require('react');
+const TestRenderer = require('react-test-renderer');
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+const stub = sinon.stub;
+chai.use(sinonChai);
+
+describe('react', function () {
+    const testError = new Error('testError');
+    let notifier;
+    let errorSubscriber;
+    let shouldThrow;
+
+    function Cart() {
+        if (shouldThrow) {
+            throw testError;
+        }
+
+        return React.createElement('div', null, 'cart');
+    }
+
+    beforeEach(function () {
+        // React logs errors caught by boundaries
+        stub(console, 'error');
+        notifier = createErrorCatchNotifier();
+        errorSubscriber = stub();
+        notifier.initErrorCatchNotifier([function (error, options) { errorSubscriber(error, options); }], true);
+        shouldThrow = true;
+    });
+
+    afterEach(function () {
+        console.error.restore();
+    });
+
+    describe('ErrorCatchBoundary', function () {
+        it('renders its children when nothing throws', function () {
+            shouldThrow = false;
+
+            const renderer = TestRenderer.create(React.createElement(ErrorCatchBoundary, { notifier }, React.createElement(Cart)));
+
+            expect(renderer.toJSON().children)
+                .to.eql(['cart']);
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+        });
+
+        it('reports errors with the component stack and renders the fallback', function () {
+            const renderer = TestRenderer.create(React.createElement(
+                ErrorCatchBoundary,
+                { notifier, fallback: React.createElement('p', null, 'unavailable'), options: { tags: ['cart'] } },
+                React.createElement(Cart)
+            ));
+
+            expect(renderer.toJSON().children)
+                .to.eql(['unavailable']);
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError);
+            expect(errorSubscriber.firstCall.args[1])
+                .to.include({ source: 'componentDidCatch' })
+                .and.have.property('componentStack').that.contains('Cart');
+            expect(errorSubscriber.firstCall.args[1].tags)
+                .to.eql(['cart']);
+        });
+
+        it('calls function fallbacks with a reset that renders the children again', function () {
+            let fallbackProps;
+            const onReset = stub();
+            const renderer = TestRenderer.create(React.createElement(
+                ErrorCatchBoundary,
+                {
+                    notifier,
+                    onReset,
+                    fallback(props) {
+                        fallbackProps = props;
+
+                        return 'unavailable';
+                    }
+                },
+                React.createElement(Cart)
+            ));
+
+            expect(fallbackProps.error)
+                .to.equal(testError);
+
+            shouldThrow = false;
+            TestRenderer.act(function () {
+                fallbackProps.reset();
+            });
+
+            expect(renderer.toJSON().children)
+                .to.eql(['cart']);
+            expect(onReset)
+                .to.have.been.calledOnce;
+        });
+
+        it('resets when resetKeys change', function () {
+            const renderer = TestRenderer.create(React.createElement(ErrorCatchBoundary, { notifier, resetKeys: [1] }, React.createElement(Cart)));
+
+            shouldThrow = false;
+            renderer.update(React.createElement(ErrorCatchBoundary, { notifier, resetKeys: [2] }, React.createElement(Cart)));
+
+            expect(renderer.toJSON().children)
+                .to.eql(['cart']);
+        });
+
+        it('rethrows without reporting while error catching is disabled', function () {
+            notifier.disableErrorCatching();
+
+            expect(function () {
+                TestRenderer.create(React.createElement(ErrorCatchBoundary, { notifier }, React.createElement(Cart)));
+            })
+                .to.throw(testError);
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+        });
+
+        it('does not report errors a wrapped function reported and rethrew again', function () {
+            const WrappedCart = notifier.wrap(Cart, { mode: 'rethrow' });
+
+            TestRenderer.create(React.createElement(ErrorCatchBoundary, { notifier }, React.createElement(WrappedCart)));
+
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError);
+            expect(errorSubscriber)
+                .not.to.have.been.calledWith(testError, sinon.match({ source: 'componentDidCatch' }));
+        });
+    });
+
+    describe('withErrorCatchNotifier', function () {
+        it('renders the component inside a boundary', function () {
+            const SafeCart = withErrorCatchNotifier(Cart, { notifier, fallback: 'unavailable', severity: 'fatal' });
+            const renderer = TestRenderer.create(React.createElement(SafeCart));
+
+            expect(SafeCart.displayName)
+                .to.equal('withErrorCatchNotifier(Cart)');
+            expect(renderer.toJSON())
+                .to.equal('unavailable');
+            expect(errorSubscriber.firstCall.args[1])
+                .to.include({ severity: 'fatal', componentName: 'Cart' });
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/* eslint-disable func-names */
+import { createErrorRecorder, matchesCapturedError } from '../src/recorder';
+import { createErrorReport } from '../src/report';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('recorder', function () {
+    const testError = new TypeError('Cannot read property id of undefined');
+    const options = { tags: ['cart'] };
+    const capturedError = { error: testError, options, report: createErrorReport(testError, { options }) };
+
+    describe('matchesCapturedError', function () {
+        it('matches errors by identity', function () {
+            expect(matchesCapturedError(capturedError, testError))
+                .to.be.true;
+            expect(matchesCapturedError(capturedError, new TypeError(testError.message)))
+                .to.be.false;
+        });
+
+        it('matches strings and RegExps against the message', function () {
+            expect(matchesCapturedError(capturedError, 'property id'))
+                .to.be.true;
+            expect(matchesCapturedError(capturedError, /^Cannot read/))
+                .to.be.true;
+            expect(matchesCapturedError(capturedError, 'property name'))
+                .to.be.false;
+        });
+
+        it('matches objects against the report and calls functions with the captured error', function () {
+            expect(matchesCapturedError(capturedError, { name: 'TypeError', tags: ['cart'], message: /id/ }))
+                .to.be.true;
+            expect(matchesCapturedError(capturedError, { name: 'RangeError' }))
+                .to.be.false;
+            expect(matchesCapturedError(capturedError, captured => captured.options === options))
+                .to.be.true;
+        });
+    });
+
+    describe('createErrorRecorder', function () {
+        it('captures the errors it receives until reset', function () {
+            const recorder = createErrorRecorder();
+
+            recorder(testError, options, undefined, [], capturedError.report);
+
+            expect(recorder.getCapturedErrors())
+                .to.eql([capturedError]);
+            expect(recorder.expectErrorReported('property id'))
+                .to.eql(capturedError);
+
+            recorder.reset();
+
+            expect(recorder.getCapturedErrors())
+                .to.eql([]);
+        });
+
+        it('throws an assertion error listing the reported messages when nothing matches', function () {
+            const recorder = createErrorRecorder();
+
+            recorder(testError, options, undefined, [], capturedError.report);
+
+            expect(() => recorder.expectErrorReported(/timeout/))
+                .to.throw('Expected an error matching /timeout/ to be reported; reported errors: ["Cannot read property id of undefined"]');
+        });
+    });
+});
@@ -0,0 +1,160 @@
+/* eslint-disable func-names */
+import {
+    createErrorReport,
+    getCauseChain,
+    isError,
+    safeStringify,
+    serializeReport,
+    toSerializable
+} from '../src/report';
+
+const vm = require('vm');
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('report', function () {
+    describe('isError', function () {
+        it('returns true for errors, including errors from another realm', function () {
+            const otherRealmError = vm.runInNewContext('new Error("testError")');
+
+            expect(isError(new TypeError('testError')))
+                .to.be.true;
+            expect(otherRealmError instanceof Error)
+                .to.be.false;
+            expect(isError(otherRealmError))
+                .to.be.true;
+        });
+
+        it('returns false for other values', function () {
+            expect(isError({ message: 'testError' }))
+                .to.be.false;
+            expect(isError('testError'))
+                .to.be.false;
+        });
+    });
+
+    describe('getCauseChain', function () {
+        it('returns each cause, nearest first', function () {
+            const rootCause = new Error('rootCause');
+            const cause = new Error('cause');
+            const error = new Error('testError');
+            cause.cause = rootCause;
+            error.cause = cause;
+
+            expect(getCauseChain(error).map(item => item.message))
+                .to.eql(['cause', 'rootCause']);
+        });
+
+        it('stops at circular causes', function () {
+            const error = new Error('testError');
+            const cause = new Error('cause');
+            error.cause = cause;
+            cause.cause = error;
+
+            expect(getCauseChain(error).length)
+                .to.equal(1);
+        });
+    });
+
+    describe('createErrorReport', function () {
+        it('normalizes an error with custom properties', function () {
+            const error = new TypeError('testError');
+            error.code = 'E_TEST';
+
+            const report = createErrorReport(error, {
+                options: { name: 'render' },
+                source: 'wrap',
+                functionName: 'render',
+                fingerprint: 'abc'
+            });
+
+            expect(report.name)
+                .to.equal('TypeError');
+            expect(report.message)
+                .to.equal('testError');
+            expect(report.stack)
+                .to.equal(error.stack);
+            expect(report.properties)
+                .to.eql({ code: 'E_TEST' });
+            expect(report.isError)
+                .to.be.true;
+            expect(report.source)
+                .to.equal('wrap');
+            expect(report.functionName)
+                .to.equal('render');
+            expect(report.options)
+                .to.eql({ name: 'render' });
+            expect(report.breadcrumbs)
+                .to.eql([]);
+            expect(report.fingerprint)
+                .to.equal('abc');
+            expect(new Date(report.timestamp).toISOString())
+                .to.equal(report.timestamp);
+            expect(report.hasOwnProperty('suppressedCount'))
+                .to.be.false;
+        });
+
+        it('normalizes thrown values that are not errors', function () {
+            expect(createErrorReport('testError'))
+                .to.include({ name: 'string', message: 'testError', isError: false });
+            expect(createErrorReport(null))
+                .to.include({ name: 'null', message: 'null' });
+            expect(createErrorReport({ code: 42 }))
+                .to.include({ name: 'Object', message: '{"code":42}' });
+            expect(createErrorReport({ code: 42 }).properties)
+                .to.eql({ code: 42 });
+        });
+
+        it('uses options.source when no source is given', function () {
+            expect(createErrorReport('testError', { options: { source: 'onerror' } }).source)
+                .to.equal('onerror');
+            expect(createErrorReport('testError').source)
+                .to.equal('notifyErrorSubscribers');
+        });
+    });
+
+    describe('toSerializable', function () {
+        it('replaces circular references, functions and errors', function () {
+            const value = { fallback: function fallback() {}, error: new Error('testError') };
+            value.self = value;
+
+            const serialized = toSerializable(value);
+
+            expect(serialized.self)
+                .to.equal('[Circular]');
+            expect(serialized.fallback)
+                .to.equal('[Function fallback]');
+            expect(serialized.error.message)
+                .to.equal('testError');
+            expect(serialized.error.stack)
+                .to.be.a('string');
+        });
+
+        it('keeps repeated references that are not circular', function () {
+            const shared = { id: 1 };
+
+            expect(toSerializable({ first: shared, second: shared }))
+                .to.eql({ first: { id: 1 }, second: { id: 1 } });
+        });
+    });
+
+    describe('serializeReport', function () {
+        it('serializes a report with circular options to JSON', function () {
+            const options = { name: 'render' };
+            options.options = options;
+
+            const json = serializeReport(createErrorReport(new Error('testError'), { options }));
+
+            expect(JSON.parse(json).options)
+                .to.eql({ name: 'render', options: '[Circular]' });
+        });
+    });
+
+    describe('safeStringify', function () {
+        it('stringifies values JSON.stringify cannot', function () {
+            expect(safeStringify({ value: NaN, list: [undefined] }))
+                .to.equal('{"value":"NaN","list":[null]}');
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/* eslint-disable func-names */
+import {
+    getRetryDelay,
+    invokeWithRetry,
+    normalizeRetryPolicy,
+    shouldRetry
+} from '../src/retry';
+
+const chai = require('chai');
+const stub = require('sinon').stub;
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+chai.use(sinonChai);
+
+describe('retry', function () {
+    describe('normalizeRetryPolicy', function () {
+        it('fills in default attempts, backoff and retryIf', function () {
+            const policy = normalizeRetryPolicy();
+
+            expect(policy.attempts)
+                .to.equal(3);
+            expect(policy.backoff)
+                .to.eql({ delay: 100, factor: 2, maxDelay: 30000, jitter: false });
+            expect(policy.retryIf(new Error('testError'), 1))
+                .to.be.true;
+        });
+
+        it('merges partial backoff settings with the defaults', function () {
+            const policy = normalizeRetryPolicy({ attempts: 5, backoff: { delay: 10 } });
+
+            expect(policy.attempts)
+                .to.equal(5);
+            expect(policy.backoff)
+                .to.eql({ delay: 10, factor: 2, maxDelay: 30000, jitter: false });
+        });
+    });
+
+    describe('getRetryDelay', function () {
+        it('grows the delay exponentially up to maxDelay', function () {
+            const policy = normalizeRetryPolicy({ backoff: { delay: 100, factor: 3, maxDelay: 500 } });
+
+            expect(getRetryDelay(policy, 1))
+                .to.equal(100);
+            expect(getRetryDelay(policy, 2))
+                .to.equal(300);
+            expect(getRetryDelay(policy, 3))
+                .to.equal(500);
+        });
+
+        it('returns a random delay no greater than the computed delay when jitter is true', function () {
+            const policy = normalizeRetryPolicy({ backoff: { delay: 100, jitter: true } });
+
+            for (let i = 0; i < 20; i += 1) {
+                expect(getRetryDelay(policy, 2))
+                    .to.be.within(0, 200);
+            }
+        });
+
+        it('calls a backoff function with the attempt and error', function () {
+            const backoff = stub().returns(42);
+            const testError = new Error('testError');
+            const policy = normalizeRetryPolicy({ backoff });
+
+            expect(getRetryDelay(policy, 2, testError))
+                .to.equal(42);
+            expect(backoff)
+                .to.have.been.calledWith(2, testError);
+        });
+    });
+
+    describe('shouldRetry', function () {
+        it('returns false once the attempts are used up', function () {
+            const policy = normalizeRetryPolicy({ attempts: 2 });
+
+            expect(shouldRetry(policy, new Error('testError'), 1))
+                .to.be.true;
+            expect(shouldRetry(policy, new Error('testError'), 2))
+                .to.be.false;
+        });
+
+        it('returns false when retryIf returns false', function () {
+            const policy = normalizeRetryPolicy({ retryIf: error => error.message !== 'fatal' });
+
+            expect(shouldRetry(policy, new Error('fatal'), 1))
+                .to.be.false;
+        });
+    });
+
+    describe('invokeWithRetry', function () {
+        it('retries synchronous failures and returns the first successful value', function () {
+            const errors = [];
+            const invoke = stub();
+            invoke.onFirstCall().throws(new Error('first'));
+            invoke.onSecondCall().returns('testValue');
+
+            expect(invokeWithRetry(invoke, { attempts: 3 }, errors))
+                .to.equal('testValue');
+            expect(invoke)
+                .to.have.been.calledTwice;
+            expect(errors.map(error => error.message))
+                .to.eql(['first']);
+        });
+
+        it('throws the final error when the attempts are used up', function () {
+            const errors = [];
+            const finalError = new Error('final');
+            const invoke = stub();
+            invoke.onFirstCall().throws(new Error('first'));
+            invoke.onSecondCall().throws(finalError);
+
+            expect(() => invokeWithRetry(invoke, { attempts: 2 }, errors))
+                .to.throw(finalError);
+            expect(errors.length)
+                .to.equal(2);
+        });
+
+        it('retries rejected promises after the backoff delay', function () {
+            const errors = [];
+            const invoke = stub();
+            invoke.onFirstCall().returns(Promise.reject(new Error('first')));
+            invoke.onSecondCall().returns(Promise.resolve('testValue'));
+
+            return invokeWithRetry(invoke, { attempts: 2, backoff: { delay: 1 } }, errors)
+                .then(function (value) {
+                    expect(value)
+                        .to.equal('testValue');
+                    expect(errors.map(error => error.message))
+                        .to.eql(['first']);
+                });
+        });
+    });
+});
@@ -0,0 +1,65 @@
+/* eslint-disable func-names */
+import { acceptsReport, getSeverity, getTags } from '../src/routing';
+
+const chai = require('chai');
+const stub = require('sinon').stub;
+
+const expect = chai.expect;
+
+describe('routing', function () {
+    describe('getSeverity', function () {
+        it('defaults to error for missing and unknown severities', function () {
+            expect(getSeverity({ severity: 'fatal' }))
+                .to.equal('fatal');
+            expect(getSeverity({ severity: 'critical' }))
+                .to.equal('error');
+            expect(getSeverity(undefined))
+                .to.equal('error');
+        });
+    });
+
+    describe('getTags', function () {
+        it('returns tags as an array', function () {
+            expect(getTags({ tags: ['checkout', 'payment'] }))
+                .to.eql(['checkout', 'payment']);
+            expect(getTags({ tags: 'checkout' }))
+                .to.eql(['checkout']);
+            expect(getTags({}))
+                .to.eql([]);
+        });
+    });
+
+    describe('acceptsReport', function () {
+        const report = { severity: 'error', tags: ['checkout'] };
+
+        it('accepts every report when the subscriber has no filters', function () {
+            expect(acceptsReport({}, new Error(), undefined, report))
+                .to.be.true;
+        });
+
+        it('rejects reports less severe than minSeverity', function () {
+            expect(acceptsReport({ minSeverity: 'fatal' }, new Error(), undefined, report))
+                .to.be.false;
+            expect(acceptsReport({ minSeverity: 'warning' }, new Error(), undefined, report))
+                .to.be.true;
+        });
+
+        it('rejects reports missing any of the required tags', function () {
+            expect(acceptsReport({ tags: ['checkout', 'payment'] }, new Error(), undefined, report))
+                .to.be.false;
+            expect(acceptsReport({ tags: 'checkout' }, new Error(), undefined, report))
+                .to.be.true;
+        });
+
+        it('calls the filter predicate with the error, options and report', function () {
+            const testError = new Error('testError');
+            const options = { tags: ['checkout'] };
+            const filter = stub().returns(false);
+
+            expect(acceptsReport({ filter }, testError, options, report))
+                .to.be.false;
+            expect(filter.calledWith(testError, options, report))
+                .to.be.true;
+        });
+    });
+});
@@ -0,0 +1,166 @@
+/* eslint-disable func-names */
+import {
+    createSourceMapResolver,
+    decodeMappings,
+    decodeVlqSegment,
+    parseSourceMap
+} from '../src/source-map';
+import { loadSourceMapFromDisk } from '../src/source-map-loader';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const babel = require('babel-core');
+const chai = require('chai');
+
+const expect = chai.expect;
+
+// original source of the generated file used below
+const ORIGINAL_SOURCE = [
+    'export const multiply = (a, b) => {',
+    "    throw new Error('cannot multiply ' + a + ' and ' + b);",
+    '};'
+].join('\n');
+
+/**
+ * Compiles ORIGINAL_SOURCE with babel and returns the generated code and its source map
+ */
+function compileFixture() {
+    return babel.transform(ORIGINAL_SOURCE, {
+        babelrc: false,
+        filename: 'multiply.js',
+        presets: ['es2015'],
+        sourceMaps: true
+    });
+}
+
+/**
+ * Gets the generated position of the throw statement
+ */
+function getThrowPosition(code) {
+    const lines = code.split('\n');
+    const lineIndex = lines.findIndex(line => line.indexOf('throw') !== -1);
+
+    return { lineNumber: lineIndex + 1, columnNumber: lines[lineIndex].indexOf('throw') + 1 };
+}
+
+describe('source-map', function () {
+    describe('decodeVlqSegment', function () {
+        it('decodes base64 VLQ values', function () {
+            expect(decodeVlqSegment('AAAA'))
+                .to.eql([0, 0, 0, 0]);
+            expect(decodeVlqSegment('AACDE'))
+                .to.eql([0, 0, 1, -1, 2]);
+            expect(decodeVlqSegment('gB'))
+                .to.eql([16]);
+        });
+
+        it('throws on invalid characters', function () {
+            expect(() => decodeVlqSegment('A!'))
+                .to.throw('Invalid source map mapping character: !');
+        });
+    });
+
+    describe('decodeMappings', function () {
+        it('accumulates values across segments and lines', function () {
+            expect(decodeMappings('AAAA,EAAE;AACA'))
+                .to.eql([[[0, 0, 0, 0], [2, 0, 0, 2]], [[0, 0, 1, 2]]]);
+        });
+    });
+
+    describe('parseSourceMap', function () {
+        it('finds the original position of a generated position', function () {
+            const sourceMap = parseSourceMap({
+                version: 3,
+                sourceRoot: 'src',
+                sources: ['cart.js'],
+                names: ['render'],
+                mappings: 'AAAA;AACAA,IAAI'
+            });
+
+            expect(sourceMap.originalPositionFor(2, 1))
+                .to.eql({ fileName: 'src/cart.js', lineNumber: 2, columnNumber: 1, functionName: 'render' });
+            expect(sourceMap.originalPositionFor(2, 7))
+                .to.eql({ fileName: 'src/cart.js', lineNumber: 2, columnNumber: 5, functionName: undefined });
+            expect(sourceMap.originalPositionFor(5, 1))
+                .to.be.null;
+        });
+    });
+
+    describe('createSourceMapResolver', function () {
+        it('resolves frames with source maps supplied in memory', function () {
+            const compiled = compileFixture();
+            const position = getThrowPosition(compiled.code);
+            const resolver = createSourceMapResolver({ sourceMaps: { 'http://localhost/multiply.js': compiled.map } });
+
+            const frames = resolver.resolveFrames([
+                { fileName: 'http://localhost/multiply.js', ...position },
+                { fileName: 'http://localhost/other.js', lineNumber: 1, columnNumber: 1 }
+            ]);
+
+            expect(frames[0].original)
+                .to.include({ fileName: 'multiply.js', lineNumber: 2, columnNumber: 5 });
+            expect(frames[1].original)
+                .to.be.undefined;
+        });
+
+        describe('loadSourceMapFromDisk', function () {
+            let directory;
+
+            beforeEach(function () {
+                directory = fs.mkdtempSync(path.join(os.tmpdir(), 'error-catch-notifier-'));
+            });
+
+            afterEach(function () {
+                fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+                fs.rmdirSync(directory);
+            });
+
+            it('loads the map named by the sourceMappingURL comment', function () {
+                const compiled = compileFixture();
+                const filePath = path.join(directory, 'multiply.compiled.js');
+                fs.writeFileSync(filePath, `${compiled.code}\n//# sourceMappingURL=multiply.js.map`);
+                fs.writeFileSync(path.join(directory, 'multiply.js.map'), JSON.stringify(compiled.map));
+
+                const resolver = createSourceMapResolver({ loadSourceMap: loadSourceMapFromDisk });
+                const frames = resolver.resolveFrames([{ fileName: filePath, ...getThrowPosition(compiled.code) }]);
+
+                expect(frames[0].original)
+                    .to.include({ fileName: path.join(directory, 'multiply.js'), lineNumber: 2 });
+            });
+
+            it('loads inline source maps', function () {
+                const compiled = compileFixture();
+                const filePath = path.join(directory, 'multiply.compiled.js');
+                const inlineMap = Buffer.from(JSON.stringify(compiled.map)).toString('base64');
+                fs.writeFileSync(filePath, `${compiled.code}\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${inlineMap}`);
+
+                const resolver = createSourceMapResolver({ loadSourceMap: loadSourceMapFromDisk });
+                const frames = resolver.resolveFrames([{ fileName: `file://${filePath}`, ...getThrowPosition(compiled.code) }]);
+
+                expect(frames[0].original)
+                    .to.include({ lineNumber: 2 });
+            });
+
+            it('accepts source map objects from loadSourceMap', function () {
+                const compiled = compileFixture();
+                const resolver = createSourceMapResolver({ loadSourceMap: fileName => (fileName === 'bundle.js' ? compiled.map : null) });
+                const frames = resolver.resolveFrames([{ fileName: 'bundle.js', ...getThrowPosition(compiled.code) }, { fileName: 'other.js', lineNumber: 1 }]);
+
+                expect(frames[0].original)
+                    .to.include({ fileName: 'multiply.js', lineNumber: 2 });
+                expect(frames[1].original)
+                    .to.be.undefined;
+            });
+
+            it('leaves frames unchanged when there is no map', function () {
+                const filePath = path.join(directory, 'plain.js');
+                const frame = { fileName: filePath, lineNumber: 1, columnNumber: 1 };
+                fs.writeFileSync(filePath, 'throw new Error();');
+
+                expect(createSourceMapResolver({ loadSourceMap: loadSourceMapFromDisk }).resolveFrames([frame])[0])
+                    .to.equal(frame);
+            });
+        });
+    });
+});
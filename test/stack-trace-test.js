@@ -0,0 +1,75 @@
+/* eslint-disable func-names */
+import { parseStack, parseStackFrame } from '../src/stack-trace';
+
+const chai = require('chai');
+
+const expect = chai.expect;
+
+describe('stack-trace', function () {
+    describe('parseStackFrame', function () {
+        it('parses V8 frames', function () {
+            expect(parseStackFrame('    at Cart.render (/app/dist/cart.js:10:15)'))
+                .to.eql({ functionName: 'Cart.render', fileName: '/app/dist/cart.js', lineNumber: 10, columnNumber: 15, raw: 'at Cart.render (/app/dist/cart.js:10:15)' });
+            expect(parseStackFrame('    at http://localhost:8080/app.js:1:200'))
+                .to.include({ functionName: undefined, fileName: 'http://localhost:8080/app.js', lineNumber: 1, columnNumber: 200 });
+            expect(parseStackFrame('    at Array.map (native)'))
+                .to.include({ functionName: 'Array.map', fileName: 'native', lineNumber: undefined });
+        });
+
+        it('parses SpiderMonkey frames', function () {
+            expect(parseStackFrame('render@http://localhost:8080/app.js:10:15'))
+                .to.include({ functionName: 'render', fileName: 'http://localhost:8080/app.js', lineNumber: 10, columnNumber: 15 });
+            expect(parseStackFrame('@http://localhost:8080/app.js:1:1'))
+                .to.include({ functionName: undefined, fileName: 'http://localhost:8080/app.js' });
+        });
+
+        it('parses JavaScriptCore frames', function () {
+            expect(parseStackFrame('global code@http://localhost:8080/app.js:3:7'))
+                .to.include({ functionName: 'global code', lineNumber: 3, columnNumber: 7 });
+            expect(parseStackFrame('http://localhost:8080/app.js:3:7'))
+                .to.include({ functionName: undefined, fileName: 'http://localhost:8080/app.js', lineNumber: 3, columnNumber: 7 });
+        });
+
+        it('returns null for lines that are not frames', function () {
+            expect(parseStackFrame('TypeError: cannot read property id of undefined'))
+                .to.be.null;
+            expect(parseStackFrame('[native code]'))
+                .to.be.null;
+        });
+    });
+
+    describe('parseStack', function () {
+        it('parses the frames of a real stack, innermost first', function () {
+            function throwError() {
+                return new Error('testError');
+            }
+
+            const frames = parseStack(throwError().stack);
+
+            expect(frames[0].functionName)
+                .to.equal('throwError');
+            expect(frames[0].fileName)
+                .to.contain('stack-trace-test.js');
+        });
+
+        it('parses stacks with long messages in linear time', function () {
+            const body = JSON.stringify([1, 2, 3].map(id => ({ email: `user${id}@example.com`, url: 'http://localhost:8080/' })));
+            const longLines = [`x@${'a:'.repeat(990)}`, `    at f (${'a ('.repeat(600)}`];
+            const stack = [`Error: Request failed: ${body.repeat(1000)}`]
+                .concat(...longLines.map(line => new Array(100).fill(line)))
+                .concat('    at Cart.render (/app/dist/cart.js:10:15)')
+                .join('\n');
+            const start = Date.now();
+
+            expect(parseStack(stack))
+                .to.have.length(1);
+            expect(Date.now() - start)
+                .to.be.below(500);
+        });
+
+        it('returns an empty array without a stack', function () {
+            expect(parseStack(undefined))
+                .to.eql([]);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/* eslint-disable func-names */
+import { createStats, getStatsKey } from '../src/stats';
+
+const chai = require('chai');
+const sinon = require('sinon');
+
+const expect = chai.expect;
+
+describe('stats', function () {
+    let clock;
+    let stats;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers(1000);
+        stats = createStats();
+    });
+
+    afterEach(function () {
+        stats.configure();
+        clock.restore();
+    });
+
+    describe('getStatsKey', function () {
+        it('uses ClassName.methodName for methods and the function name otherwise', function () {
+            expect(getStatsKey(function render() {}, { className: 'Cart', methodName: 'render' }))
+                .to.equal('Cart.render');
+            expect(getStatsKey(function loadCart() {}))
+                .to.equal('loadCart');
+            expect(getStatsKey(() => {}))
+                .to.equal('anonymous');
+        });
+    });
+
+    it('counts invocations and caught errors per function', function () {
+        expect(stats.invoke('loadCart', () => 'cart'))
+            .to.equal('cart');
+
+        stats.invoke('loadCart', () => 'cart');
+        clock.tick(500);
+        stats.recordCaughtError('loadCart');
+
+        expect(stats.getStats())
+            .to.eql({
+                functions: { loadCart: { invocations: 2, caughtErrors: 1, lastErrorTime: 1500 } },
+                subscribers: {},
+                since: 1000
+            });
+    });
+
+    it('counts deliveries, failures and timeouts per subscriber', function () {
+        stats.recordDelivery('collector', 'fulfilled');
+        stats.recordDelivery('collector', 'rejected');
+        stats.recordDelivery('collector', 'timedOut');
+
+        expect(stats.getStats().subscribers)
+            .to.eql({ collector: { deliveries: 3, failures: 1, timeouts: 1 } });
+    });
+
+    it('records durations in a histogram when tracked', function () {
+        stats.configure({ trackDurations: true, durationBuckets: [10, 100] });
+
+        stats.invoke('loadCart', function () { clock.tick(5); });
+        stats.invoke('loadCart', function () { clock.tick(50); });
+        expect(() => stats.invoke('loadCart', function () { clock.tick(500); throw new Error('testError'); }))
+            .to.throw('testError');
+
+        expect(stats.getStats().functions.loadCart.durations)
+            .to.eql({ count: 3, sum: 555, buckets: { 10: 1, 100: 1, '+Inf': 1 } });
+    });
+
+    it('records durations of promises when they settle', function () {
+        let resolvePromise;
+        stats.configure({ trackDurations: true });
+
+        const promise = stats.invoke('loadCart', () => new Promise(function (resolve) { resolvePromise = resolve; }));
+        clock.tick(20);
+        resolvePromise();
+
+        return promise.then(function () {
+            expect(stats.getStats().functions.loadCart.durations.buckets[25])
+                .to.equal(1);
+        });
+    });
+
+    it('resets every counter', function () {
+        stats.invoke('loadCart', () => 'cart');
+        stats.recordDelivery('collector', 'fulfilled');
+        clock.tick(100);
+
+        stats.reset();
+
+        expect(stats.getStats())
+            .to.eql({ functions: {}, subscribers: {}, since: 1100 });
+    });
+
+    it('calls onSnapshot every snapshotInterval', function () {
+        const snapshots = [];
+        stats.configure({ snapshotInterval: 1000, onSnapshot: snapshot => snapshots.push(snapshot) });
+
+        stats.invoke('loadCart', () => 'cart');
+        clock.tick(1000);
+        stats.invoke('loadCart', () => 'cart');
+        clock.tick(1000);
+        stats.configure();
+        clock.tick(1000);
+
+        expect(snapshots.map(snapshot => snapshot.functions.loadCart.invocations))
+            .to.eql([1, 2]);
+    });
+});
@@ -0,0 +1,102 @@
+/* eslint-disable func-names */
+import { createThrottle } from '../src/throttle';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+chai.use(sinonChai);
+
+describe('throttle', function () {
+    let clock;
+    let throttle;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function () {
+        throttle.dispose();
+        clock.restore();
+    });
+
+    describe('dedupeWindow', function () {
+        it('suppresses repeats of a fingerprint until the window closes', function () {
+            const onSummary = sinon.stub();
+            throttle = createThrottle({ dedupeWindow: 1000 }, onSummary);
+
+            expect(throttle.shouldNotify('a', 'errorA', {}))
+                .to.be.true;
+            expect(throttle.shouldNotify('a', 'errorA', {}))
+                .to.be.false;
+            expect(throttle.shouldNotify('b', 'errorB', {}))
+                .to.be.true;
+
+            clock.tick(1000);
+
+            expect(throttle.shouldNotify('a', 'errorA', {}))
+                .to.be.true;
+        });
+
+        it('delivers a summary of suppressed reports when the window closes', function () {
+            const onSummary = sinon.stub();
+            const options = { name: 'render' };
+            throttle = createThrottle({ dedupeWindow: 1000 }, onSummary);
+
+            throttle.shouldNotify('a', 'errorA', options);
+            throttle.shouldNotify('a', 'errorA', options);
+            throttle.shouldNotify('a', 'errorA', options);
+            throttle.shouldNotify('b', 'errorB', options);
+
+            clock.tick(1000);
+
+            expect(onSummary)
+                .to.have.been.calledOnce;
+            expect(onSummary)
+                .to.have.been.calledWith({ fingerprint: 'a', suppressedCount: 2, error: 'errorA', options, context: undefined });
+        });
+    });
+
+    describe('rate limits', function () {
+        it('limits reports per fingerprint within the rate limit window', function () {
+            const onSummary = sinon.stub();
+            throttle = createThrottle({ perFingerprintLimit: 2, rateLimitWindow: 1000 }, onSummary);
+
+            expect([1, 2, 3].map(() => throttle.shouldNotify('a', 'errorA', {})))
+                .to.eql([true, true, false]);
+            expect(throttle.shouldNotify('b', 'errorB', {}))
+                .to.be.true;
+
+            clock.tick(1000);
+
+            expect(onSummary)
+                .to.have.been.calledWith({ fingerprint: 'a', suppressedCount: 1, error: 'errorA', options: {}, context: undefined });
+            expect(throttle.shouldNotify('a', 'errorA', {}))
+                .to.be.true;
+        });
+
+        it('limits reports across all fingerprints within the rate limit window', function () {
+            throttle = createThrottle({ globalLimit: 2, rateLimitWindow: 1000 }, sinon.stub());
+
+            expect(['a', 'b', 'c'].map(fingerprint => throttle.shouldNotify(fingerprint, 'error', {})))
+                .to.eql([true, true, false]);
+        });
+    });
+
+    describe('dispose', function () {
+        it('stops window timers without delivering summaries', function () {
+            const onSummary = sinon.stub();
+            throttle = createThrottle({ dedupeWindow: 1000 }, onSummary);
+
+            throttle.shouldNotify('a', 'errorA', {});
+            throttle.shouldNotify('a', 'errorA', {});
+            throttle.dispose();
+
+            clock.tick(1000);
+
+            expect(onSummary)
+                .not.to.have.been.called;
+        });
+    });
+});
@@ -0,0 +1,218 @@
+/* eslint-disable func-names */
+import { createErrorCatchNotifier } from '../src/error-catch-notifier';
+
+const EventEmitter = require('events').EventEmitter;
+const chai = require('chai');
+const stub = require('sinon').stub;
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+chai.use(sinonChai);
+
+describe('wrap-callback', function () {
+    let notifier;
+    let errorSubscriber;
+
+    beforeEach(function () {
+        notifier = createErrorCatchNotifier();
+        errorSubscriber = stub();
+        notifier.initErrorCatchNotifier([function (error, options, failback, breadcrumbs, report) {
+            errorSubscriber(error, options, report);
+        }], true);
+    });
+
+    describe('wrapCallback', function () {
+        it('reports errors passed to the callback, then calls it', function () {
+            const testError = new Error('testError');
+            const callback = stub();
+
+            notifier.wrapCallback(function readFileCallback(error, result) { callback(error, result); }, { tags: ['fs'] })(testError);
+
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError, { tags: ['fs'] });
+            expect(errorSubscriber.firstCall.args[2])
+                .to.include({ source: 'callback', functionName: 'readFileCallback' });
+            expect(callback)
+                .to.have.been.calledWith(testError);
+        });
+
+        it('calls the callback with its results when there is no error', function () {
+            const callback = stub().returns('done');
+
+            expect(notifier.wrapCallback(callback)(null, 'contents'))
+                .to.equal('done');
+            expect(callback)
+                .to.have.been.calledWith(null, 'contents');
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+        });
+
+        it('does not call the callback with a reported error when callOnError is false', function () {
+            const callback = stub();
+
+            notifier.wrapCallback(callback, { callOnError: false })(new Error('testError'));
+
+            expect(callback)
+                .not.to.have.been.called;
+            expect(errorSubscriber.firstCall.args[1])
+                .to.eql({});
+        });
+
+        it('catches errors thrown by the callback', function () {
+            const testError = new Error('testError');
+
+            notifier.wrapCallback(function () { throw testError; })(null);
+
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError);
+        });
+
+        it('does not report the error again when the callback throws it', function () {
+            const testError = new Error('testError');
+            const wrappedCallback = notifier.wrapCallback(function (error) {
+                if (error) {
+                    throw error;
+                }
+            }, { fallback: 'fallback' });
+
+            expect(wrappedCallback(testError))
+                .to.equal('fallback');
+
+            notifier.setMode('rethrow');
+
+            expect(() => wrappedCallback(testError))
+                .to.throw(testError);
+            expect(errorSubscriber)
+                .to.have.been.calledTwice;
+            expect(notifier.consumeRethrownError(testError))
+                .to.equal(true);
+        });
+
+        it('passes errors through without reporting them in passthrough mode', function () {
+            const callback = stub();
+            const testError = new Error('testError');
+            notifier.setMode('passthrough');
+
+            notifier.wrapCallback(callback)(testError);
+            notifier.wrapCallback(callback, { mode: 'swallow' })(testError);
+
+            expect(callback)
+                .to.have.been.calledTwice;
+            expect(errorSubscriber)
+                .to.have.been.calledOnce;
+        });
+
+        it('passes errors through without reporting them while error catching is disabled', function () {
+            const callback = stub();
+            const testError = new Error('testError');
+            notifier.disableErrorCatching();
+
+            notifier.wrapCallback(callback)(testError);
+
+            expect(callback)
+                .to.have.been.calledWith(testError);
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+        });
+    });
+
+    describe('wrapEmitter', function () {
+        let emitter;
+
+        beforeEach(function () {
+            emitter = notifier.wrapEmitter(new EventEmitter(), { tags: ['socket'] });
+        });
+
+        it('reports error events', function () {
+            const testError = new Error('testError');
+
+            emitter.emit('error', testError);
+
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError, { tags: ['socket'], eventName: 'error' });
+            expect(errorSubscriber.firstCall.args[2].source)
+                .to.equal('emitter');
+        });
+
+        it('catches errors thrown by listeners added after wrapping', function () {
+            const testError = new Error('testError');
+            const afterListener = stub();
+
+            emitter.on('data', function onData() { throw testError; });
+            emitter.once('data', afterListener);
+            emitter.emit('data', 'chunk');
+
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError, { tags: ['socket'], eventName: 'data' });
+            expect(afterListener)
+                .to.have.been.calledWith('chunk');
+        });
+
+        it('wraps listeners added before wrapping, keeping their order and once listeners once', function () {
+            const testError = new Error('testError');
+            const otherEmitter = new EventEmitter();
+            const calls = [];
+            const onceListener = stub().callsFake(() => calls.push('once'));
+            function throwingListener() {
+                calls.push('throwing');
+                throw testError;
+            }
+
+            otherEmitter.on('data', throwingListener);
+            otherEmitter.once('data', onceListener);
+            notifier.wrapEmitter(otherEmitter, { tags: ['socket'] });
+            otherEmitter.emit('data', 'chunk');
+            otherEmitter.emit('data', 'chunk');
+
+            expect(calls)
+                .to.eql(['throwing', 'once', 'throwing']);
+            expect(onceListener)
+                .to.have.been.calledOnce;
+            expect(errorSubscriber)
+                .to.have.been.calledWith(testError, { tags: ['socket'], eventName: 'data' });
+
+            otherEmitter.removeListener('data', throwingListener);
+
+            expect(otherEmitter.listenerCount('data'))
+                .to.equal(0);
+        });
+
+        it('removes listeners by their original function', function () {
+            const listener = stub();
+
+            emitter.on('data', listener);
+            emitter.removeListener('data', listener);
+            emitter.emit('data');
+
+            expect(listener)
+                .not.to.have.been.called;
+            expect(emitter.listenerCount('data'))
+                .to.equal(0);
+        });
+
+        it('rethrows error events nothing else listens for while error catching is disabled', function () {
+            const testError = new Error('testError');
+            notifier.disableErrorCatching();
+
+            expect(() => emitter.emit('error', testError))
+                .to.throw(testError);
+
+            emitter.on('error', function onError() {});
+
+            expect(() => emitter.emit('error', testError))
+                .not.to.throw();
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+        });
+
+        it('does not report error events in passthrough mode', function () {
+            const testError = new Error('testError');
+            notifier.setMode('passthrough');
+
+            expect(() => emitter.emit('error', testError))
+                .to.throw(testError);
+            expect(errorSubscriber)
+                .not.to.have.been.called;
+        });
+    });
+});
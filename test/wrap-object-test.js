@@ -0,0 +1,146 @@
+/* eslint-disable func-names, class-methods-use-this, no-underscore-dangle */
+import { createObjectWrappers } from '../src/wrap-object';
+
+const chai = require('chai');
+const stub = require('sinon').stub;
+const sinonChai = require('sinon-chai');
+
+const expect = chai.expect;
+chai.use(sinonChai);
+
+describe('wrap-object', function () {
+    let wrap;
+    let wrapObject;
+    let wrapClass;
+
+    beforeEach(function () {
+        // records the options of each wrapped method and marks the wrapped function
+        wrap = stub().callsFake(function (targetFunction, options) {
+            const wrappedFunction = function (...args) {
+                return targetFunction.apply(this, args);
+            };
+            wrappedFunction.wrapOptions = options;
+
+            return wrappedFunction;
+        });
+
+        ({ wrapObject, wrapClass } = createObjectWrappers(wrap));
+    });
+
+    describe('wrapObject', function () {
+        it('wraps own methods and keeps this and name', function () {
+            const service = {
+                value: 42,
+                getValue() {
+                    return this.value;
+                }
+            };
+
+            wrapObject(service, { tag: 'service' });
+
+            expect(service.getValue())
+                .to.equal(42);
+            expect(service.getValue.name)
+                .to.equal('getValue');
+            expect(service.getValue.wrapOptions)
+                .to.eql({ tag: 'service', className: undefined, methodName: 'getValue' });
+        });
+
+        it('wraps inherited methods as own properties without changing the prototype', function () {
+            class Service {
+                load() {
+                    return 'loaded';
+                }
+            }
+
+            const service = new Service();
+
+            wrapObject(service);
+
+            expect(service.hasOwnProperty('load'))
+                .to.be.true;
+            expect(service.load())
+                .to.equal('loaded');
+            expect(service.load.wrapOptions.className)
+                .to.equal('Service');
+            expect(Service.prototype.load.wrapOptions)
+                .to.be.undefined;
+        });
+
+        it('wraps getters and setters', function () {
+            const store = {
+                _count: 0,
+                get count() {
+                    return this._count;
+                },
+                set count(count) {
+                    this._count = count;
+                }
+            };
+
+            wrapObject(store);
+            store.count = 3;
+
+            const descriptor = Object.getOwnPropertyDescriptor(store, 'count');
+
+            expect(store.count)
+                .to.equal(3);
+            expect(descriptor.get.wrapOptions.methodName)
+                .to.equal('count');
+            expect(descriptor.set.wrapOptions.methodName)
+                .to.equal('count');
+        });
+
+        it('honors include and exclude lists without passing them to wrap', function () {
+            const service = {
+                load() {},
+                save() {},
+                remove() {}
+            };
+
+            wrapObject(service, { exclude: ['remove'] });
+
+            expect(service.load.wrapOptions)
+                .to.eql({ className: undefined, methodName: 'load' });
+            expect(service.remove.wrapOptions)
+                .to.be.undefined;
+
+            const otherService = {
+                load() {},
+                save() {}
+            };
+
+            wrapObject(otherService, { include: ['save'] });
+
+            expect(otherService.load.wrapOptions)
+                .to.be.undefined;
+            expect(otherService.save.wrapOptions.methodName)
+                .to.equal('save');
+        });
+    });
+
+    describe('wrapClass', function () {
+        it('wraps prototype and static methods but not the constructor', function () {
+            class Cart {
+                static create() {
+                    return new Cart();
+                }
+
+                total() {
+                    return 10;
+                }
+            }
+
+            wrapClass(Cart, { tag: 'cart' });
+
+            expect(Cart.create().total())
+                .to.equal(10);
+            expect(Cart.prototype.total.wrapOptions)
+                .to.eql({ tag: 'cart', className: 'Cart', methodName: 'total' });
+            expect(Cart.create.wrapOptions.methodName)
+                .to.equal('create');
+            expect(Cart.prototype.constructor)
+                .to.equal(Cart);
+        });
+    });
+});